@@ -0,0 +1,89 @@
+/* ============================================================
+   Second Nature – Finance Math
+   Small, dependency-free helpers used to compute answers for
+   generated questions. Rates are decimals (0.08 = 8%).
+   ============================================================ */
+
+const FinanceMath = (function () {
+  'use strict';
+
+  const IRR_MAX_ITER  = 100;
+  const IRR_TOLERANCE = 1e-7;
+
+  /**
+   * Net present value. cashflows[0] happens today and is not discounted,
+   * so an upfront investment goes in as a negative first element.
+   */
+  function npv(rate, cashflows) {
+    return cashflows.reduce((sum, cf, t) => sum + cf / Math.pow(1 + rate, t), 0);
+  }
+
+  /** Derivative of npv() with respect to rate (for Newton's method) */
+  function npvSlope(rate, cashflows) {
+    return cashflows.reduce((sum, cf, t) => sum - t * cf / Math.pow(1 + rate, t + 1), 0);
+  }
+
+  /**
+   * Internal rate of return: the rate where npv() is zero.
+   * Newton's method first, bisection as a fallback. Returns NaN when
+   * the cash flows never change sign.
+   */
+  function irr(cashflows, guess = 0.1) {
+    const hasOutflow = cashflows.some(cf => cf < 0);
+    const hasInflow  = cashflows.some(cf => cf > 0);
+    if (!hasOutflow || !hasInflow) return NaN;
+
+    let rate = guess;
+    for (let i = 0; i < IRR_MAX_ITER; i++) {
+      const value = npv(rate, cashflows);
+      const slope = npvSlope(rate, cashflows);
+      if (Math.abs(value) < IRR_TOLERANCE) return rate;
+      if (slope === 0) break;
+      const next = rate - value / slope;
+      if (!isFinite(next) || next <= -1) break;
+      rate = next;
+    }
+
+    let lo = -0.99;
+    let hi = 10;
+    if (npv(lo, cashflows) * npv(hi, cashflows) > 0) return NaN;
+    for (let i = 0; i < IRR_MAX_ITER * 2; i++) {
+      const mid = (lo + hi) / 2;
+      const value = npv(mid, cashflows);
+      if (Math.abs(value) < IRR_TOLERANCE) return mid;
+      if (npv(lo, cashflows) * value < 0) hi = mid; else lo = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  /**
+   * Level payment per period that pays off principal over nper periods.
+   * Unlike the spreadsheet PMT(), the result is a positive amount.
+   */
+  function pmt(rate, nper, principal) {
+    if (rate === 0) return principal / nper;
+    return principal * rate / (1 - Math.pow(1 + rate, -nper));
+  }
+
+  /** Days sales outstanding */
+  function dso(receivables, revenue, days = 365) {
+    return receivables / revenue * days;
+  }
+
+  /** Days payable outstanding */
+  function dpo(payables, cogs, days = 365) {
+    return payables / cogs * days;
+  }
+
+  /** Gross margin as a decimal of revenue */
+  function grossMargin(revenue, cogs) {
+    return (revenue - cogs) / revenue;
+  }
+
+  /** Interest earned (not the ending balance) on principal compounded periodsPerYear times a year */
+  function compoundInterest(principal, rate, years, periodsPerYear = 1) {
+    return principal * Math.pow(1 + rate / periodsPerYear, periodsPerYear * years) - principal;
+  }
+
+  return Object.freeze({ npv, irr, pmt, dso, dpo, grossMargin, compoundInterest });
+})();
@@ -0,0 +1,114 @@
+/* ============================================================
+   Second Nature – Phone Remote
+   Talks to server/relay.js: commands go up as POSTs, the wheel
+   page's state comes back down as Server-Sent Events.
+   ============================================================ */
+
+const PIN = new URLSearchParams(location.search).get('pin') || '';
+
+const DOM = Object.freeze({
+  status:    document.getElementById('remote-status'),
+  card:      document.getElementById('remote-card'),
+  label:     document.getElementById('remote-label'),
+  winners:   document.getElementById('remote-winners'),
+  question:  document.getElementById('remote-question'),
+  answer:    document.getElementById('remote-answer'),
+  result:    document.getElementById('remote-result'),
+  spin:      document.getElementById('remote-spin'),
+  reveal:    document.getElementById('remote-reveal'),
+  correct:   document.getElementById('remote-correct'),
+  incorrect: document.getElementById('remote-incorrect'),
+  close:     document.getElementById('remote-close'),
+});
+
+let wheelState = null;  // last state the wheel page reported
+let wheelsOnline = 0;
+let connected = false;
+let rejected = false;   // the relay turned the pairing code down
+
+function relayUrl(route) {
+  return `relay/${route}?pin=${encodeURIComponent(PIN)}`;
+}
+
+// ============================================================
+//  RELAY CONNECTION
+// ============================================================
+
+function connect() {
+  const events = new EventSource(relayUrl('events') + '&role=remote');
+  events.addEventListener('open', () => {
+    connected = true;
+    render();
+  });
+  events.addEventListener('error', () => {
+    connected = false;
+    // EventSource retries by itself, except after a refusal such as a wrong pairing code
+    rejected = events.readyState === EventSource.CLOSED;
+    render();
+  });
+  events.addEventListener('presence', e => {
+    wheelsOnline = JSON.parse(e.data).wheels;
+    if (wheelsOnline === 0) wheelState = null;
+    render();
+  });
+  events.addEventListener('state', e => {
+    wheelState = JSON.parse(e.data);
+    render();
+  });
+}
+
+function sendCommand(action) {
+  if (navigator.vibrate) navigator.vibrate(15);
+  fetch(relayUrl('command'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action }),
+  })
+    .then(res => {
+      if (!res.ok) return res.text().then(text => { throw new Error(text); });
+    })
+    .catch(err => {
+      DOM.status.textContent = err.message || 'Could not reach the relay';
+    });
+}
+
+// ============================================================
+//  RENDER
+// ============================================================
+
+function statusText() {
+  if (rejected) return 'Pairing code not accepted — open the remote link the relay printed';
+  if (!connected) return 'Reconnecting…';
+  if (wheelsOnline === 0) return 'Waiting for the wheel page to open';
+  if (!wheelState) return 'Connected';
+  if (wheelState.spinning) return 'Spinning…';
+  return wheelState.status || 'Connected';
+}
+
+function render() {
+  const state = connected && wheelState ? wheelState : {};
+  const winners = state.winners || [];
+  DOM.status.textContent = statusText();
+
+  DOM.card.classList.toggle('hidden', winners.length === 0);
+  DOM.label.textContent = winners.length > 1 ? `${winners.length} Winners` : 'Winner';
+  DOM.winners.textContent = winners.join(', ');
+  DOM.question.textContent = state.question || '';
+  DOM.question.classList.toggle('hidden', !state.question);
+  DOM.answer.textContent = state.answer ? 'Answer: ' + state.answer : '';
+  DOM.answer.classList.toggle('hidden', !state.answer);
+  DOM.result.textContent = state.result === true ? '✓ Correct' : state.result === false ? '✗ Missed' : '';
+  DOM.result.className = 'remote-result ' + (state.result === true
+    ? 'answer-result--correct'
+    : state.result === false ? 'answer-result--incorrect' : 'hidden');
+
+  DOM.spin.disabled = !state.canSpin;
+  DOM.spin.textContent = winners.length ? 'SPIN AGAIN' : 'SPIN';
+  DOM.reveal.disabled = !state.canReveal;
+  DOM.correct.disabled = !state.canMark;
+  DOM.incorrect.disabled = !state.canMark;
+  DOM.close.disabled = !state.canClose;
+}
+
+connect();
+render();
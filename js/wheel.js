@@ -31,6 +31,7 @@ const TOKENS = Object.freeze({
 
   // Wheel slice palette
   wheelColors: cssVar('--sn-wheel-colors').split(',').map(c => c.trim()),
+  groupColors: cssVar('--sn-group-colors').split(',').map(c => c.trim()),
 
   // Opacity
   opacityDimmed:    cssNum('--opacity-dimmed'),
@@ -42,9 +43,16 @@ const TOKENS = Object.freeze({
   fontFamily:    cssVar('--font-family'),
   fontWeight:    cssNum('--font-weight-label'),
   fontSize:      cssVar('--font-size-label'),
+  labelMinSize:     cssNum('--label-min-size'),
+  labelLineHeight:  cssNum('--label-line-height'),
+  labelWrap:        cssNum('--label-wrap') === 1,
+  labelArcFill:     cssNum('--label-arc-fill'),
+  labelHubGap:      cssNum('--label-hub-gap'),
 
   // Wheel geometry
   wheelSize:        cssNum('--wheel-size'),
+  wheelViewportWidth:   cssNum('--wheel-viewport-width'),
+  wheelAudienceHeight:  cssNum('--wheel-audience-height'),
   wheelInset:       cssNum('--wheel-inset'),
   centerRadius:     cssNum('--wheel-center-radius'),
   centerRing:       cssNum('--wheel-center-ring'),
@@ -53,7 +61,6 @@ const TOKENS = Object.freeze({
   pointerTop:       cssNum('--wheel-pointer-top'),
   pointerTip:       cssNum('--wheel-pointer-tip'),
   textOffsetX:      cssNum('--wheel-text-offset-x'),
-  textOffsetY:      cssNum('--wheel-text-offset-y'),
   separatorWidth:   cssNum('--wheel-separator-width'),
   ringWidth:        cssNum('--wheel-ring-width'),
 
@@ -75,6 +82,13 @@ const TOKENS = Object.freeze({
   glowAmplitude:     cssNum('--glow-amplitude'),
   glowPhaseStep:     cssNum('--glow-phase-step'),
   overlayCloseDelay: cssNum('--overlay-close-delay'),
+  stopDuration:      cssNum('--stop-duration'),
+  stopRotations:     cssNum('--stop-rotations'),
+  stopPause:         cssNum('--stop-pause'),
+  groupRevealDuration: cssNum('--group-reveal-duration'),
+  groupMaxAttempts:  cssNum('--group-max-attempts'),
+  orderRevealDuration: cssNum('--order-reveal-duration'),
+  orderRevealRots:   cssNum('--order-reveal-rots'),
 
   // Easing
   easeDecayRate:    cssNum('--ease-decay-rate'),
@@ -83,13 +97,49 @@ const TOKENS = Object.freeze({
   wobbleIntensity:  cssNum('--wobble-intensity'),
   wobbleDamping:    cssNum('--wobble-damping'),
   tickCutoff:       cssNum('--tick-cutoff'),
+  tickFrequency:    cssNum('--tick-frequency'),
+  tickLength:       cssNum('--tick-length'),
+  tickFastSpeed:    cssNum('--tick-fast-speed'),
+
+  // Sound
+  soundVolume:        cssNum('--sound-volume'),
+  soundAttack:        cssNum('--sound-attack'),
+  soundTail:          cssNum('--sound-tail'),
+  soundFloor:         cssNum('--sound-floor'),
+  tickPitchRise:      cssNum('--sound-tick-pitch-rise'),
+  tickGain:           cssNum('--sound-tick-gain'),
+  tickGainRise:       cssNum('--sound-tick-gain-rise'),
+  fanfareNotes:       cssVar('--sound-fanfare-notes').split(',').map(Number),
+  fanfareStep:        cssNum('--sound-fanfare-step'),
+  fanfareDelay:       cssNum('--sound-fanfare-delay'),
+  fanfareLength:      cssNum('--sound-fanfare-length'),
+  fanfareGain:        cssNum('--sound-fanfare-gain'),
+  chordLength:        cssNum('--sound-chord-length'),
+  chordGain:          cssNum('--sound-chord-gain'),
 
   // Persistence
-  storageKey: cssVar('--storage-key').replace(/"/g, ''),
+  storageKey:          cssVar('--storage-key').replace(/"/g, ''),
+  questionsStorageKey: cssVar('--questions-storage-key').replace(/"/g, ''),
+  filterStorageKey:    cssVar('--filter-storage-key').replace(/"/g, ''),
+  archiveStorageKey:   cssVar('--archive-storage-key').replace(/"/g, ''),
+  seasonsStorageKey:   cssVar('--seasons-storage-key').replace(/"/g, ''),
+  rostersStorageKey:   cssVar('--rosters-storage-key').replace(/"/g, ''),
+  attendanceStorageKey: cssVar('--attendance-storage-key').replace(/"/g, ''),
+  settingsStorageKey:   cssVar('--settings-storage-key').replace(/"/g, ''),
+  seedStorageKey:       cssVar('--seed-storage-key').replace(/"/g, ''),
+  sessionStorageKey:    cssVar('--session-storage-key').replace(/"/g, ''),
+  syncChannel:          cssVar('--sync-channel').replace(/"/g, ''),
+  remoteStateDelay:     cssNum('--remote-state-delay'),
+
+  // Fair draw weighting
+  fairFrequencyWeight: cssNum('--fair-frequency-weight'),
+  fairRecencyPenalty:  cssNum('--fair-recency-penalty'),
+  fairRecencyDecay:    cssNum('--fair-recency-decay'),
 });
 
 const TWO_PI = Math.PI * 2;
 const POINTER_ANGLE = (3 * Math.PI) / 2; // 12 o'clock
+const AUDIENCE = new URLSearchParams(location.search).get('view') === 'audience'; // projector window mirroring a presenter
 
 // ============================================================
 //  DOM REFERENCES (cached once)
@@ -102,14 +152,110 @@ const DOM = Object.freeze({
   allPicked:     document.getElementById('all-picked'),
   overlay:       document.getElementById('winner-overlay'),
   winnerName:    document.getElementById('winner-name'),
+  winnerAvatar:  document.getElementById('winner-avatar'),
+  winnerRole:    document.getElementById('winner-role'),
+  winnerQuestion:document.getElementById('winner-question'),
+  questionText:  document.getElementById('question-text'),
+  questionMeta:  document.getElementById('question-meta'),
+  answerForm:    document.getElementById('answer-form'),
+  answerInput:   document.getElementById('answer-input'),
+  revealBtn:     document.getElementById('reveal-btn'),
+  answerReveal:  document.getElementById('answer-reveal'),
+  answerText:    document.getElementById('answer-text'),
+  answerResult:  document.getElementById('answer-result'),
+  answerMark:    document.getElementById('answer-mark'),
+  passToggle:    document.getElementById('pass-toggle'),
+  passPanel:     document.getElementById('pass-panel'),
+  passReasons:   document.getElementById('pass-reasons'),
+  passesWrap:    document.getElementById('passes-wrap'),
+  passesTbody:   document.getElementById('passes-tbody'),
+  filterToggle:  document.getElementById('filter-toggle'),
+  filterPanel:   document.getElementById('filter-panel'),
+  filterCategories:   document.getElementById('filter-categories'),
+  filterDifficulties: document.getElementById('filter-difficulties'),
   winnerCard:    document.getElementById('winner-card'),
   sectionWheel:  document.getElementById('section-wheel'),
   sectionHistory:document.getElementById('section-history'),
+  sectionScoreboard: document.getElementById('section-scoreboard'),
   tabWheel:      document.getElementById('tab-wheel'),
   tabHistory:    document.getElementById('tab-history'),
+  tabScoreboard: document.getElementById('tab-scoreboard'),
   historyTbody:  document.getElementById('history-tbody'),
   historyTable:  document.getElementById('history-table'),
   historyEmpty:  document.getElementById('history-empty'),
+  seasonSelect:  document.getElementById('season-select'),
+  seasonName:    document.getElementById('season-name'),
+  scoreboardTbody: document.getElementById('scoreboard-tbody'),
+  scoreboardTable: document.getElementById('scoreboard-table'),
+  scoreboardEmpty: document.getElementById('scoreboard-empty'),
+  rosterToggle:  document.getElementById('roster-toggle'),
+  audienceBtn:   document.getElementById('audience-btn'),
+  rosterOverlay: document.getElementById('roster-overlay'),
+  rosterSelect:  document.getElementById('roster-select'),
+  rosterName:    document.getElementById('roster-name'),
+  rosterDelete:  document.getElementById('roster-delete'),
+  rosterCount:   document.getElementById('roster-count'),
+  rosterMembers: document.getElementById('roster-members'),
+  rosterError:   document.getElementById('roster-error'),
+  memberName:    document.getElementById('member-name'),
+  checkinToggle: document.getElementById('checkin-toggle'),
+  checkinPanel:  document.getElementById('checkin-panel'),
+  checkinMembers:document.getElementById('checkin-members'),
+  fairToggle:    document.getElementById('fair-toggle'),
+  fairPanel:     document.getElementById('fair-panel'),
+  fairList:      document.getElementById('fair-list'),
+  weightedMode:  document.getElementById('weighted-mode'),
+  replacementMode: document.getElementById('replacement-mode'),
+  cooldown:      document.getElementById('cooldown'),
+  cooldownAcross:document.getElementById('cooldown-across'),
+  pickCount:     document.getElementById('pick-count'),
+  muteBtn:       document.getElementById('mute-btn'),
+  volume:        document.getElementById('volume'),
+  groupsToggle:  document.getElementById('groups-toggle'),
+  groupsPanel:   document.getElementById('groups-panel'),
+  groupMode:     document.getElementById('group-mode'),
+  groupValue:    document.getElementById('group-value'),
+  groupRules:    document.getElementById('group-rules'),
+  ruleA:         document.getElementById('rule-a'),
+  ruleB:         document.getElementById('rule-b'),
+  ruleType:      document.getElementById('rule-type'),
+  groupsError:   document.getElementById('groups-error'),
+  groupsResult:  document.getElementById('groups-result'),
+  groupsList:    document.getElementById('groups-list'),
+  orderToggle:   document.getElementById('order-toggle'),
+  orderPanel:    document.getElementById('order-panel'),
+  orderEmpty:    document.getElementById('order-empty'),
+  orderQueue:    document.getElementById('order-queue'),
+  orderCurrent:  document.getElementById('order-current'),
+  orderNext:     document.getElementById('order-next'),
+  orderList:     document.getElementById('order-list'),
+  orderAdvance:  document.getElementById('order-advance'),
+  groupingsWrap: document.getElementById('groupings-wrap'),
+  groupings:     document.getElementById('groupings'),
+  winnerLabel:   document.getElementById('winner-label'),
+  winnerList:    document.getElementById('winner-list'),
+  winnerSingle:  document.getElementById('winner-single'),
+  passArea:      document.getElementById('pass-area'),
+  seedValue:     document.getElementById('seed-value'),
+  seedForm:      document.getElementById('seed-form'),
+  seedInput:     document.getElementById('seed-input'),
+  verifyOverlay: document.getElementById('verify-overlay'),
+  verifySummary: document.getElementById('verify-summary'),
+  verifyTbody:   document.getElementById('verify-tbody'),
+  shortcutsOverlay: document.getElementById('shortcuts-overlay'),
+  shortcutsClose:document.getElementById('shortcuts-close'),
+  sessionCurrent:document.getElementById('session-current'),
+  sessionTitle:  document.getElementById('session-title'),
+  sessionForm:   document.getElementById('session-form'),
+  sessionName:   document.getElementById('session-name'),
+  sessionDate:   document.getElementById('session-date'),
+  pastSessionsWrap: document.getElementById('past-sessions-wrap'),
+  pastSessions:  document.getElementById('past-sessions'),
+  undoBtn:       document.getElementById('undo-btn'),
+  exportToggle:  document.getElementById('export-toggle'),
+  exportPanel:   document.getElementById('export-panel'),
+  importFile:    document.getElementById('import-file'),
+  importStatus:  document.getElementById('import-status'),
 });
 
 // ============================================================
@@ -120,9 +266,11 @@ const ctx = DOM.canvas.getContext('2d');
 const MAX_WHEEL = TOKENS.wheelSize; // 520 — design maximum
 const dpr = window.devicePixelRatio || 1;
 
-/** Compute the best wheel size for the current viewport */
+/** Compute the best wheel size for the current viewport; the audience window fills the screen */
 function computeWheelSize() {
-  return Math.min(MAX_WHEEL, window.innerWidth * 0.88);
+  const width = window.innerWidth * TOKENS.wheelViewportWidth;
+  if (AUDIENCE) return Math.min(width, window.innerHeight * TOKENS.wheelAudienceHeight);
+  return Math.min(MAX_WHEEL, width);
 }
 
 let SIZE = computeWheelSize();
@@ -148,14 +296,100 @@ applyCanvasSize();
 //  STATE
 // ============================================================
 
-let names = [];
+let members = [];        // active members of the active roster, in slice order
+let rosterStore = null; // { activeId, rosters: [{ id, name, members }] } — seeded from team.json
 let slice = 0;
 let rotation = 0;
 let spinning = false;
 let winnerIndex = -1;
 let glowPhase = 0;
 let glowAnimId = null;
-let spinHistory = JSON.parse(localStorage.getItem(TOKENS.storageKey) || '[]');
+let spinAnimId = null;
+let activeEntry = null;    // history entry for the winner currently in the overlay
+let activeQuestion = null; // question currently in the overlay
+let editingIndex = -1;     // current-session history row open in the inline editor
+let passReason = null;     // reason chosen in the winner card's pass panel
+let orderRevealed = Infinity; // queue items shown so far while a new order animates in
+let groupView = null;      // { groupOf: Map(memberId → group index), order: member ids in reveal order, revealed } while groups show on the wheel
+let mirroredDrawable = null; // audience window: ids the presenter can still draw
+let mirroredOrder = null;    // audience window: the presenter's speaking order in progress
+let mirrorQueue = [];        // audience window: messages held back until the mirrored spin lands
+let lastWinnerSync = null;   // presenter: the winner card on screen, replayed to a newly opened audience window
+let spinHistory = JSON.parse(localStorage.getItem(TOKENS.storageKey) || '[]'); // current session's picks
+let attendance = loadAttendance();
+let roundSeed = JSON.parse(localStorage.getItem(TOKENS.seedStorageKey) || 'null') || newRoundSeed();
+let settings = Object.assign(
+  { muted: false, volume: TOKENS.soundVolume, weighted: false, replacement: false, cooldown: 0, cooldownAcrossSessions: false, pickCount: 1, groupMode: 'count', groupValue: 3, groupRules: [] },
+  JSON.parse(localStorage.getItem(TOKENS.settingsStorageKey) || '{}')
+);
+// Ended meetings: { id, title, date, startedAt, endedAt, entries } — oldest first
+let sessionArchive = JSON.parse(localStorage.getItem(TOKENS.archiveStorageKey) || '[]');
+let currentSession = JSON.parse(localStorage.getItem(TOKENS.sessionStorageKey) || 'null');
+let seasons = JSON.parse(localStorage.getItem(TOKENS.seasonsStorageKey) || 'null') || {
+  current: 's1',
+  list: [{ id: 's1', name: 'Season 1', startedAt: null }],
+};
+let questions = [];
+let questionCategories = [];
+let questionDifficulties = [];
+let answerTolerance = {};
+let usedQuestions = JSON.parse(localStorage.getItem(TOKENS.questionsStorageKey) || '[]');
+// Filters store what is excluded, so categories added to the deck later are drawn by default
+let questionFilter = Object.assign(
+  { excludedCategories: [], excludedDifficulties: [] },
+  JSON.parse(localStorage.getItem(TOKENS.filterStorageKey) || '{}')
+);
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// ============================================================
+//  SEEDED RNG (every draw is reproducible from seed + draw index)
+// ============================================================
+
+const RNG_ALGORITHM = 'mulberry32/xmur3';
+
+/** xmur3 string hash → 32-bit unsigned seed */
+function hashSeed(str) {
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/** mulberry32 PRNG: returns floats in [0, 1) */
+function mulberry32(a) {
+  return function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Each draw gets its own stream, so replaying draw N never depends on
+ * how many numbers earlier draws consumed.
+ */
+function createDrawRng(seed, drawIndex) {
+  return mulberry32(hashSeed(`${seed}:${drawIndex}`));
+}
+
+/** Fresh unpublished seed for a round nobody chose one for */
+function newRoundSeed() {
+  const bytes = crypto.getRandomValues(new Uint8Array(4));
+  const seed = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return { seed, nextDraw: 0 };
+}
 
 // ============================================================
 //  HELPERS
@@ -166,12 +400,75 @@ function hexToRgba(hex, alpha) {
   return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
 }
 
-function isNamePicked(name) {
-  return spinHistory.some(h => h.name === name);
+/** Lowercase, hyphenated id derived from a display name ("Chris R" → "chris-r") */
+function slugify(text) {
+  return String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'member';
+}
+
+/** Picked this session, or passed and kept out of the pool */
+function isMemberPicked(member) {
+  return spinHistory.some(h => h.memberId === member.id && !isOrderTurn(h) && !(h.pass && h.pass.returned));
 }
 
+function isPass(entry) {
+  return !!entry.pass;
+}
+
+/** A speaking-order turn is logged for the record but was never a wheel pick */
+function isOrderTurn(entry) {
+  return !!entry.order;
+}
+
+function isAbsent(member) {
+  return attendance.absentIds.includes(member.id);
+}
+
+function getPresent() {
+  return members.filter(m => !isAbsent(m));
+}
+
+/** Passed this session and kept out of the pool */
+function isExcluded(member) {
+  return spinHistory.some(h => h.memberId === member.id && h.pass && !h.pass.returned);
+}
+
+/** Ids picked in the last `settings.cooldown` picks — this meeting, or every meeting when enabled */
+function coolingDownIds() {
+  if (!settings.cooldown) return new Set();
+  const history = settings.cooldownAcrossSessions ? allHistoryEntries() : spinHistory;
+  const picks = history.filter(e => !isPass(e) && !isOrderTurn(e));
+  return new Set(picks.slice(-settings.cooldown).map(e => e.memberId));
+}
+
+/** Present members the next spin can land on, after elimination (or replacement) and cooldown */
 function getAvailable() {
-  return names.filter(n => !isNamePicked(n));
+  const candidates = getPresent().filter(m => (settings.replacement ? !isExcluded(m) : !isMemberPicked(m)));
+  const cooling = coolingDownIds();
+  const rested = candidates.filter(m => !cooling.has(m.id));
+  // A cooldown that would leave nobody to pick is waived
+  return rested.length > 0 ? rested : candidates;
+}
+
+function isQuestionUsed(question) {
+  return usedQuestions.includes(question.id);
+}
+
+function isQuestionEligible(question) {
+  return !questionFilter.excludedCategories.includes(question.category)
+      && !questionFilter.excludedDifficulties.includes(question.difficulty);
+}
+
+function getEligibleQuestions() {
+  return questions.filter(isQuestionEligible);
+}
+
+function getUnusedQuestions() {
+  return getEligibleQuestions().filter(q => !isQuestionUsed(q));
+}
+
+function labelFor(list, id) {
+  const item = list.find(x => x.id === id);
+  return item ? item.label : id;
 }
 
 function normalizeAngle(angle) {
@@ -185,73 +482,220 @@ function normalizeAngle(angle) {
 /** Scale a design-baseline value to the current wheel SIZE */
 function s(value) { return value * wheelScale(); }
 
+// The static wheel (slices, separators, labels) is painted once into an
+// offscreen layer at rotation 0; each frame turns that bitmap to `rotation`
+// and draws the glow, hub and pointer on top. drawWheel() is for state
+// changes (roster, picks, size, fonts) and repaints the layer; animation
+// frames call renderWheel(), which only repaints it once invalidated.
+
+const wheelLayer = document.createElement('canvas');
+const wheelLayerCtx = wheelLayer.getContext('2d');
+let wheelLayerStale = true;
+let paintedSlices = []; // { color, dimmed } per member, as last painted into wheelLayer
+
+function invalidateWheel() {
+  wheelLayerStale = true;
+}
+
 function drawWheel() {
-  ctx.clearRect(0, 0, SIZE, SIZE);
+  invalidateWheel();
+  renderWheel();
+}
 
-  names.forEach((name, i) => {
-    const angle = rotation + i * slice;
-    const picked = isNamePicked(name);
-    const color = TOKENS.wheelColors[i % TOKENS.wheelColors.length];
+function renderWheel() {
+  if (wheelLayerStale) paintWheelLayer();
+  ctx.clearRect(0, 0, SIZE, SIZE);
 
-    drawSlice(angle, color, picked);
-    drawWinnerGlow(i, angle);
-    drawSeparator(angle);
-    drawSliceLabel(name, angle, picked);
-  });
+  ctx.save();
+  ctx.translate(HALF, HALF);
+  ctx.rotate(rotation);
+  ctx.drawImage(wheelLayer, -HALF, -HALF, SIZE, SIZE);
+  ctx.restore();
 
+  drawWinnerGlow();
   drawCenterCircle();
   drawPointer();
 }
 
-function drawSlice(angle, color, picked) {
-  ctx.beginPath();
-  ctx.moveTo(HALF, HALF);
-  ctx.arc(HALF, HALF, HALF - s(TOKENS.wheelInset), angle, angle + slice);
-  ctx.closePath();
-  ctx.fillStyle = picked ? hexToRgba(color, TOKENS.opacityDimmed) : color;
-  ctx.fill();
+function paintWheelLayer() {
+  const c = wheelLayerCtx;
+  // Canvas sizes are whole pixels; comparing against a fractional SIZE * dpr would reallocate every paint
+  const pixels = Math.round(SIZE * dpr);
+  if (wheelLayer.width !== pixels) {
+    wheelLayer.width  = pixels;
+    wheelLayer.height = pixels;
+  }
+  c.setTransform(dpr, 0, 0, dpr, 0, 0);
+  c.clearRect(0, 0, SIZE, SIZE);
+
+  const drawable = mirroredDrawable || new Set(getAvailable().map(m => m.id));
+
+  paintedSlices = members.map((member, i) => {
+    const angle = i * slice;
+    let dimmed = !drawable.has(member.id);
+    let color = member.color || TOKENS.wheelColors[i % TOKENS.wheelColors.length];
+    if (groupView) {
+      // Slices take their group's color as the reveal reaches them
+      const group = groupView.groupOf.get(member.id);
+      dimmed = group === undefined || groupView.order.indexOf(member.id) >= groupView.revealed;
+      if (group !== undefined) color = groupColor(group);
+    }
+
+    drawSlice(c, angle, color, dimmed);
+    drawSeparator(c, angle);
+    drawSliceLabel(c, member.displayName, angle, dimmed);
+    return { color, dimmed };
+  });
+  wheelLayerStale = false;
 }
 
-function drawWinnerGlow(index, angle) {
-  if (index !== winnerIndex || spinning) return;
+function slicePath(c, angle) {
+  c.beginPath();
+  c.moveTo(HALF, HALF);
+  c.arc(HALF, HALF, HALF - s(TOKENS.wheelInset), angle, angle + slice);
+  c.closePath();
+}
+
+function drawSlice(c, angle, color, dimmed) {
+  slicePath(c, angle);
+  c.fillStyle = dimmed ? hexToRgba(color, TOKENS.opacityDimmed) : color;
+  c.fill();
+}
+
+/** Glow layer: the winning slice again with a pulsing shadow, its edges and label back on top */
+function drawWinnerGlow() {
+  const painted = paintedSlices[winnerIndex];
+  if (!painted || spinning) return;
+  const angle = rotation + winnerIndex * slice;
 
   ctx.save();
-  ctx.beginPath();
-  ctx.moveTo(HALF, HALF);
-  ctx.arc(HALF, HALF, HALF - s(TOKENS.wheelInset), angle, angle + slice);
-  ctx.closePath();
   ctx.shadowColor = TOKENS.cyan;
   ctx.shadowBlur = s(TOKENS.glowBaseBlur) + Math.sin(glowPhase) * s(TOKENS.glowAmplitude);
-  ctx.fill();
+  drawSlice(ctx, angle, painted.color, painted.dimmed);
   ctx.restore();
+
+  drawSeparator(ctx, angle);
+  drawSeparator(ctx, angle + slice);
+  drawSliceLabel(ctx, members[winnerIndex].displayName, angle, painted.dimmed);
 }
 
-function drawSeparator(angle) {
+function drawSeparator(c, angle) {
   const edge = HALF - s(TOKENS.wheelInset);
-  ctx.beginPath();
-  ctx.moveTo(HALF, HALF);
-  ctx.lineTo(HALF + edge * Math.cos(angle), HALF + edge * Math.sin(angle));
-  ctx.strokeStyle = hexToRgba(TOKENS.white, TOKENS.opacitySeparator);
-  ctx.lineWidth = s(TOKENS.separatorWidth);
-  ctx.stroke();
+  c.beginPath();
+  c.moveTo(HALF, HALF);
+  c.lineTo(HALF + edge * Math.cos(angle), HALF + edge * Math.sin(angle));
+  c.strokeStyle = hexToRgba(TOKENS.white, TOKENS.opacitySeparator);
+  c.lineWidth = s(TOKENS.separatorWidth);
+  c.stroke();
 }
 
-function drawSliceLabel(name, angle, picked) {
-  const fontSize = Math.max(10, Math.round(parseFloat(TOKENS.fontSize) * wheelScale()));
-  ctx.save();
-  ctx.translate(HALF, HALF);
-  ctx.rotate(angle + slice / 2);
-  ctx.textAlign = 'right';
-  ctx.fillStyle = picked
+function drawSliceLabel(c, name, angle, dimmed) {
+  const layout = labelLayout(name);
+  const lineHeight = layout.size * TOKENS.labelLineHeight;
+  c.save();
+  c.translate(HALF, HALF);
+  c.rotate(angle + slice / 2);
+  c.textAlign = 'right';
+  c.textBaseline = 'middle';
+  c.fillStyle = dimmed
     ? hexToRgba(TOKENS.white, TOKENS.opacitySeparator)
     : TOKENS.white;
-  ctx.font = `${TOKENS.fontWeight} ${fontSize}px ${TOKENS.fontFamily}`;
-  ctx.shadowColor = hexToRgba('#000000', TOKENS.opacityMuted);
-  ctx.shadowBlur = s(TOKENS.labelShadowBlur);
-  ctx.shadowOffsetX = 0;
-  ctx.shadowOffsetY = s(TOKENS.labelShadowOffsetY);
-  ctx.fillText(name, HALF - s(TOKENS.textOffsetX), s(TOKENS.textOffsetY));
-  ctx.restore();
+  c.font = labelFont(layout.size);
+  c.shadowColor = hexToRgba('#000000', TOKENS.opacityMuted);
+  c.shadowBlur = s(TOKENS.labelShadowBlur);
+  c.shadowOffsetX = 0;
+  c.shadowOffsetY = s(TOKENS.labelShadowOffsetY);
+  layout.lines.forEach((line, i) => {
+    c.fillText(line, HALF - s(TOKENS.textOffsetX), (i - (layout.lines.length - 1) / 2) * lineHeight);
+  });
+  c.restore();
+}
+
+// ============================================================
+//  SLICE LABEL FITTING
+// ============================================================
+// A label runs from the rim in toward the hub. The slice narrows on the way,
+// so the longer the label, the less height its inner end has to work with.
+
+const labelLayouts = new Map(); // name → { size, lines }, fitted to labelGeometry
+let labelGeometry = '';         // "SIZE|slice" the cached layouts were fitted to
+
+function labelFont(size) {
+  return `${TOKENS.fontWeight} ${size}px ${TOKENS.fontFamily}`;
+}
+
+function labelLayout(name) {
+  // A resize or roster change refits every label, so drop the old layouts rather than pile them up
+  const geometry = `${SIZE}|${slice}`;
+  if (geometry !== labelGeometry) {
+    labelLayouts.clear();
+    labelGeometry = geometry;
+  }
+  if (!labelLayouts.has(name)) labelLayouts.set(name, fitLabel(name));
+  return labelLayouts.get(name);
+}
+
+/** Widest a label of `lines` lines at `size` px can be, with its outer end at radius `outer` */
+function labelWidthLimit(size, lines, outer) {
+  const clear = outer - s(TOKENS.centerRing) - s(TOKENS.labelHubGap);
+  if (slice >= Math.PI) return clear;
+  const height = size * (lines === 1 ? 1 : lines * TOKENS.labelLineHeight);
+  const innerRadius = height / (2 * Math.sin(slice / 2) * TOKENS.labelArcFill);
+  return Math.min(clear, outer - innerRadius);
+}
+
+function measureLabel(lines, size) {
+  ctx.font = labelFont(size);
+  return Math.max(...lines.map(line => ctx.measureText(line).width));
+}
+
+/**
+ * Largest size, down to the readable minimum, at which the name fits on one
+ * line, then on two; failing both it is cut short with an ellipsis.
+ */
+function fitLabel(name) {
+  const outer = HALF - s(TOKENS.textOffsetX);
+  const minSize = TOKENS.labelMinSize;
+  const maxSize = Math.max(minSize, Math.round(parseFloat(TOKENS.fontSize) * wheelScale()));
+  const candidates = [[name]];
+  if (TOKENS.labelWrap && /\S\s+\S/.test(name)) candidates.push(splitLabel(name.trim()));
+
+  for (const lines of candidates) {
+    for (let size = maxSize; size >= minSize; size--) {
+      if (measureLabel(lines, size) <= labelWidthLimit(size, lines.length, outer)) return { size, lines };
+    }
+  }
+  return { size: minSize, lines: [truncateLabel(name, minSize, labelWidthLimit(minSize, 1, outer))] };
+}
+
+/** Break at the space that leaves the two lines closest in width */
+function splitLabel(name) {
+  const words = name.split(/\s+/);
+  let best = null;
+  for (let i = 1; i < words.length; i++) {
+    const lines = [words.slice(0, i).join(' '), words.slice(i).join(' ')];
+    const width = measureLabel(lines, TOKENS.labelMinSize);
+    if (!best || width < best.width) best = { lines, width };
+  }
+  return best.lines;
+}
+
+/** Longest prefix that fits; on very thin slices the first letter stays even if it overhangs */
+function truncateLabel(name, size, maxWidth) {
+  const chars = Array.from(name);
+  for (let n = chars.length - 1; n > 1; n--) {
+    const text = chars.slice(0, n).join('').trimEnd() + '…';
+    if (measureLabel([text], size) <= maxWidth) return text;
+  }
+  return chars.slice(0, 1).join('') + '…';
+}
+
+// Web fonts arriving after the first draw change every measurement
+if (document.fonts) {
+  document.fonts.addEventListener('loadingdone', () => {
+    labelLayouts.clear();
+    if (members.length) drawWheel();
+  });
 }
 
 function drawCenterCircle() {
@@ -356,56 +800,487 @@ function spin() {
   spinning = true;
   winnerIndex = -1;
   stopGlowAnim();
+  clearGroupView();
   DOM.spinBtn.disabled = true;
+  getAudio(); // wake the audio context while we still have the click
+
+  // Every random number for this spin comes from the round seed's stream for this draw
+  const draw = { seed: roundSeed.seed, rng: RNG_ALGORITHM, drawIndex: roundSeed.nextDraw, pool: available.map(m => m.id) };
+  const rng = createDrawRng(draw.seed, draw.drawIndex);
+  roundSeed.nextDraw++;
+  saveRoundSeed();
+
+  // Pick available members — uniformly, or by fairness weight when enabled.
+  // All winners are drawn before the wheel moves so a replay needs nothing else.
+  const count = Math.min(settings.pickCount, available.length);
+  let weights = null;
+  if (settings.weighted) {
+    weights = computeFairWeights(available);
+    draw.weights = available.map(m => weights.get(m.id));
+  }
+  const winners = [];
+  let pool = available;
+  for (let k = 0; k < count; k++) {
+    const winner = weights ? pickWeighted(pool, weights, rng) : pool[Math.floor(rng() * pool.length)];
+    winners.push(winner);
+    pool = pool.filter(m => m !== winner);
+  }
+
+  if (count > 1) {
+    draw.picks = count;
+    spinSequence(winners, draw, rng);
+    return;
+  }
 
-  // Pick a random available member
-  const winnerName = available[Math.floor(Math.random() * available.length)];
-  const winnerIdx = names.indexOf(winnerName);
+  const winner = winners[0];
+  const winnerIdx = members.indexOf(winner);
+  const fullSpins = TOKENS.spinMinRotations + Math.floor(rng() * TOKENS.spinExtraRots);
+  const target = landingRotation(winnerIdx, fullSpins);
+  animateSpin(target, TOKENS.spinDuration, () => onSpinComplete(target, winnerIdx, winner, draw, rng));
+}
 
-  // Calculate target rotation to land winner under the pointer
-  const winnerSliceCenter = winnerIdx * slice + slice / 2;
-  const extraAngle = (POINTER_ANGLE - winnerSliceCenter - rotation % TWO_PI + TWO_PI * 20) % TWO_PI;
-  const fullSpins = TOKENS.spinMinRotations + Math.floor(Math.random() * TOKENS.spinExtraRots);
-  const target = rotation + fullSpins * TWO_PI + extraAngle;
+/** Rotation that brings slice `index` to rest under the pointer after `fullSpins` whole turns */
+function landingRotation(index, fullSpins) {
+  const sliceCenter = index * slice + slice / 2;
+  const extraAngle = (POINTER_ANGLE - sliceCenter - rotation % TWO_PI + TWO_PI * 20) % TWO_PI;
+  return rotation + fullSpins * TWO_PI + extraAngle;
+}
 
+function animateSpin(target, duration, onDone, onFrame) {
   const startRotation = rotation;
   const totalDelta = target - startRotation;
   const startTime = performance.now();
   let lastSliceIdx = -1;
+  let lastRotation = startRotation;
+  let lastTime = startTime;
+  broadcast('spin', { from: startRotation, target, duration });
 
   function animate(now) {
-    const t = Math.min((now - startTime) / TOKENS.spinDuration, 1);
+    const t = Math.min((now - startTime) / duration, 1);
     rotation = startRotation + totalDelta * easeOutExpoWobble(t);
-    drawWheel();
+    if (onFrame) onFrame(t);
+    renderWheel();
 
-    // Tick flash on slice boundary crossings
-    const currentSliceIdx = Math.floor(normalizeAngle(rotation) / slice) % names.length;
+    // Tick flash and click on slice boundary crossings; the click's pitch follows the speed
+    const speed = Math.abs(rotation - lastRotation) / Math.max(now - lastTime, 1);
+    const currentSliceIdx = Math.floor(normalizeAngle(rotation) / slice) % members.length;
     if (currentSliceIdx !== lastSliceIdx && lastSliceIdx !== -1 && t < TOKENS.tickCutoff) {
       flashPointer();
+      playTick(Math.min(speed / TOKENS.tickFastSpeed, 1));
     }
     lastSliceIdx = currentSliceIdx;
+    lastRotation = rotation;
+    lastTime = now;
 
     if (t < 1) {
-      requestAnimationFrame(animate);
+      spinAnimId = requestAnimationFrame(animate);
     } else {
-      onSpinComplete(target, winnerIdx, winnerName);
+      spinAnimId = null;
+      rotation = target;
+      onDone();
     }
   }
 
-  requestAnimationFrame(animate);
+  spinAnimId = requestAnimationFrame(animate);
+}
+
+/** Drop a spin mid-flight; its onDone never runs */
+function stopSpinAnim() {
+  if (spinAnimId) {
+    cancelAnimationFrame(spinAnimId);
+    spinAnimId = null;
+  }
+}
+
+/**
+ * Multi-winner draw: one full spin to the first winner, then a short hop to
+ * each of the others with the single pointer. Each stop is logged as it
+ * lands, so the slice dims before the wheel moves on.
+ */
+function spinSequence(winners, draw, rng) {
+  const entries = [];
+
+  function stopAt(k) {
+    const winner = winners[k];
+    const index = members.indexOf(winner);
+    const turns = k === 0
+      ? TOKENS.spinMinRotations + Math.floor(rng() * TOKENS.spinExtraRots)
+      : TOKENS.stopRotations;
+    const target = landingRotation(index, turns);
+
+    animateSpin(target, k === 0 ? TOKENS.spinDuration : TOKENS.stopDuration, () => {
+      entries.push(addToHistory(winner, null, Object.assign({}, draw, { groupPosition: k })));
+      winnerIndex = index;
+      drawWheel();
+      flashPointer();
+      if (k + 1 < winners.length) {
+        setTimeout(() => stopAt(k + 1), TOKENS.stopPause);
+      } else {
+        onSequenceComplete(winners, entries);
+      }
+    });
+  }
+
+  stopAt(0);
 }
 
-function onSpinComplete(target, winnerIdx, winnerName) {
-  rotation = target;
+function onSequenceComplete(winners, entries) {
+  spinning = false;
+  DOM.spinBtn.disabled = false;
+  // Group draws skip the question; the last entry stands in for the group (undo, close)
+  activeEntry = entries[entries.length - 1];
+  drawWheel();
+  showWinners(winners);
+  playFanfare();
+  startGlowAnim();
+  updateStatus();
+  renderFairPanel();
+}
+
+function onSpinComplete(target, winnerIdx, winner, draw, rng) {
   winnerIndex = winnerIdx;
   spinning = false;
   DOM.spinBtn.disabled = false;
 
   drawWheel();
-  addToHistory(winnerName);
-  showWinner(winnerName);
+  const question = drawQuestion(rng);
+  activeEntry = addToHistory(winner, question, draw);
+  showWinner(winner, question);
+  playFanfare();
   startGlowAnim();
   updateStatus();
+  renderFairPanel();
+}
+
+// ============================================================
+//  QUESTION DECK (localStorage)
+// ============================================================
+
+/**
+ * Take a random unused question that passes the current filter and mark it used.
+ * Once every eligible question has been asked, those questions are reshuffled.
+ * Templates are filled in with fresh values from the same RNG that picked them.
+ */
+function drawQuestion(rng = Math.random) {
+  const eligible = getEligibleQuestions();
+  if (eligible.length === 0) return null;
+
+  let unused = getUnusedQuestions();
+  if (unused.length === 0) {
+    const eligibleIds = eligible.map(q => q.id);
+    usedQuestions = usedQuestions.filter(id => !eligibleIds.includes(id));
+    unused = eligible;
+  }
+
+  const question = unused[Math.floor(rng() * unused.length)];
+  usedQuestions.push(question.id);
+  localStorage.setItem(TOKENS.questionsStorageKey, JSON.stringify(usedQuestions));
+  return question.params ? instantiateTemplate(question, rng) : staticQuestion(question);
+}
+
+/** Static deck entries carry a plain-text answer that is judged by the facilitator */
+function staticQuestion(question) {
+  return Object.assign({}, question, { answer: question.answer ? { text: question.answer } : null });
+}
+
+// ============================================================
+//  QUESTION TEMPLATES (values filled in, answers from FinanceMath)
+// ============================================================
+
+const currencyFormat = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+const centsFormat    = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' });
+const numberFormat   = new Intl.NumberFormat('en-US', { maximumFractionDigits: 2 });
+
+/** Display a template value. Percent values are stored as decimals. */
+function formatValue(value, format) {
+  switch (format) {
+    case 'currency': return currencyFormat.format(value);
+    case 'cents':    return centsFormat.format(value);
+    case 'percent':  return numberFormat.format(value * 100) + '%';
+    case 'days':     return numberFormat.format(Math.round(value * 10) / 10) + ' days';
+    default:         return numberFormat.format(value);
+  }
+}
+
+/** Random multiple of step in [min, max] */
+function randomStep(min, max, step, rng) {
+  const steps = Math.floor((max - min) / step);
+  return min + Math.floor(rng() * (steps + 1)) * step;
+}
+
+function listPhrase(items) {
+  if (items.length <= 1) return items.join('');
+  return items.slice(0, -1).join(', ') + ' and ' + items[items.length - 1];
+}
+
+/** Produce { value, text } for one template parameter */
+function fillParam(spec, rng) {
+  if (spec.type === 'cashflows') {
+    const periods = randomStep(spec.periods[0], spec.periods[1], 1, rng);
+    const outlay  = randomStep(spec.outlay[0], spec.outlay[1], spec.step, rng);
+    const inflows = Array.from({ length: periods }, () => randomStep(spec.inflow[0], spec.inflow[1], spec.step, rng));
+    return {
+      value: [-outlay].concat(inflows),
+      text: `an upfront outlay of ${currencyFormat.format(outlay)} followed by yearly inflows of `
+          + listPhrase(inflows.map(cf => currencyFormat.format(cf))),
+    };
+  }
+
+  const raw = randomStep(spec.min, spec.max, spec.step, rng);
+  const value = spec.format === 'percent' ? raw / 100 : raw;
+  return { value, text: formatValue(value, spec.format) };
+}
+
+/** Turn a template deck entry into a concrete question with a computed answer */
+function instantiateTemplate(template, rng) {
+  const values = {};
+  let text = template.text;
+
+  Object.keys(template.params).forEach(key => {
+    const param = fillParam(template.params[key], rng);
+    values[key] = param.value;
+    text = text.split(`{${key}}`).join(param.text);
+  });
+
+  const { fn, args, format } = template.answer;
+  const value = FinanceMath[fn](...args.map(arg => (typeof arg === 'string' ? values[arg] : arg)));
+
+  return {
+    id: template.id,
+    category: template.category,
+    difficulty: template.difficulty,
+    text,
+    answer: {
+      value,
+      format,
+      text: formatValue(value, format === 'currency' ? 'cents' : format),
+      tolerance: template.tolerance || answerTolerance[format] || { type: 'absolute', value: 0 },
+    },
+  };
+}
+
+// ============================================================
+//  ANSWER GRADING
+// ============================================================
+
+/** Parse typed input ("$12,181", "46.9%", "23.6 days") into the answer's units */
+function parseAnswerInput(raw, format) {
+  const n = parseFloat(String(raw).replace(/[$,%\s]|days?/gi, ''));
+  if (!isFinite(n)) return NaN;
+  return format === 'percent' ? n / 100 : n;
+}
+
+/** Tolerance is { type: 'absolute' | 'percent', value } or { type: 'cents' } */
+function isWithinTolerance(input, expected, tolerance) {
+  switch (tolerance.type) {
+    case 'cents':   return Math.round(input * 100) === Math.round(expected * 100);
+    case 'percent': return Math.abs(input - expected) <= Math.abs(expected) * tolerance.value / 100;
+    default:        return Math.abs(input - expected) <= tolerance.value;
+  }
+}
+
+function hasNumericAnswer(question) {
+  return !!(question && question.answer && typeof question.answer.value === 'number');
+}
+
+/** Reset the answer controls in the winner card for a newly drawn question */
+function resetAnswerArea(question) {
+  const answer = question && question.answer;
+  DOM.answerForm.classList.toggle('hidden', !hasNumericAnswer(question));
+  DOM.answerInput.value = '';
+  DOM.revealBtn.classList.toggle('hidden', !answer);
+  DOM.answerText.textContent = answer ? answer.text : '';
+  DOM.answerReveal.classList.add('hidden');
+  DOM.answerResult.classList.add('hidden');
+  DOM.answerMark.classList.add('hidden');
+}
+
+function submitAnswer(event) {
+  event.preventDefault();
+  if (!hasNumericAnswer(activeQuestion) || (activeEntry && activeEntry.result)) return;
+
+  const { value, format, tolerance } = activeQuestion.answer;
+  const response = DOM.answerInput.value.trim();
+  const input = parseAnswerInput(response, format);
+  if (isNaN(input)) {
+    showAnswerResult(null, 'Enter a number to check.');
+    return;
+  }
+
+  const correct = isWithinTolerance(input, value, tolerance);
+  recordResult({ correct, response, method: 'auto' });
+  DOM.answerForm.classList.add('hidden');
+  revealAnswer();
+  showAnswerResult(correct, correct ? 'Correct!' : `Not quite — you said ${response}.`);
+}
+
+/** Show the expected answer. Ungraded questions can then be marked by hand. */
+function revealAnswer() {
+  if (!activeQuestion || !activeQuestion.answer) return;
+  DOM.revealBtn.classList.add('hidden');
+  DOM.answerReveal.classList.remove('hidden');
+  broadcast('answer');
+  if (!activeEntry || !activeEntry.result) {
+    DOM.answerMark.classList.remove('hidden');
+  }
+}
+
+function markAnswer(correct) {
+  if (!activeEntry || activeEntry.result) return;
+  recordResult({ correct, method: 'manual' });
+  DOM.answerForm.classList.add('hidden');
+  DOM.answerMark.classList.add('hidden');
+  showAnswerResult(correct, correct ? 'Correct!' : 'Marked as missed.');
+}
+
+function showAnswerResult(correct, message) {
+  if (correct !== null) broadcast('result', { correct, message });
+  DOM.answerResult.textContent = (correct === true ? '✓ ' : correct === false ? '✗ ' : '') + message;
+  DOM.answerResult.className = 'mt-2 text-sm font-bold '
+    + (correct === true ? 'answer-result--correct' : correct === false ? 'answer-result--incorrect' : 'text-navy-50');
+}
+
+/** Save a grading result on the history entry for the current winner */
+function recordResult(result) {
+  if (!activeEntry) return;
+  activeEntry.result = result;
+  saveHistory();
+  renderHistory();
+}
+
+// ============================================================
+//  QUESTION FILTER (localStorage)
+// ============================================================
+
+const FILTER_KEYS = Object.freeze({
+  category:   'excludedCategories',
+  difficulty: 'excludedDifficulties',
+});
+
+function toggleFilterPanel() {
+  const open = DOM.filterPanel.classList.toggle('hidden') === false;
+  DOM.filterToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
+/** Include or exclude one category / difficulty from the draw */
+function toggleQuestionFilter(kind, id) {
+  const key = FILTER_KEYS[kind];
+  const excluded = questionFilter[key];
+  questionFilter[key] = excluded.includes(id)
+    ? excluded.filter(x => x !== id)
+    : excluded.concat(id);
+  localStorage.setItem(TOKENS.filterStorageKey, JSON.stringify(questionFilter));
+  renderQuestionFilters();
+  updateStatus();
+}
+
+function renderFilterChips(container, kind, list) {
+  const excluded = questionFilter[FILTER_KEYS[kind]];
+  container.innerHTML = list.map(item => {
+    const count = questions.filter(q => q[kind] === item.id).length;
+    const on = !excluded.includes(item.id);
+    return `<button type="button" class="filter-chip px-2.5 py-1 text-[11px] md:text-xs font-bold rounded-pill"
+      aria-pressed="${on}" data-id="${escapeHtml(item.id)}">
+      ${escapeHtml(item.label)} <span class="opacity-70">${count}</span>
+    </button>`;
+  }).join('');
+}
+
+function renderQuestionFilters() {
+  renderFilterChips(DOM.filterCategories, 'category', questionCategories);
+  renderFilterChips(DOM.filterDifficulties, 'difficulty', questionDifficulties);
+}
+
+// Chip ids come from questions.json, so they ride in data- attributes rather than inline handlers
+DOM.filterCategories.addEventListener('click', e => {
+  const chip = e.target.closest('button[data-id]');
+  if (chip) toggleQuestionFilter('category', chip.dataset.id);
+});
+DOM.filterDifficulties.addEventListener('click', e => {
+  const chip = e.target.closest('button[data-id]');
+  if (chip) toggleQuestionFilter('difficulty', chip.dataset.id);
+});
+
+// ============================================================
+//  SOUND (Web Audio, synthesized — no files to host)
+// ============================================================
+
+let audioCtx = null;
+let masterGain = null;
+
+/**
+ * The shared audio context, created on first use. Returns null when muted
+ * or unsupported. Browsers keep it suspended until a user gesture, so
+ * spin() calls this straight from the click.
+ */
+function getAudio() {
+  if (settings.muted || settings.volume <= 0) return null;
+  if (!audioCtx) {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    if (!AudioCtx) return null;
+    audioCtx = new AudioCtx();
+    masterGain = audioCtx.createGain();
+    masterGain.connect(audioCtx.destination);
+  }
+  if (audioCtx.state === 'suspended') audioCtx.resume();
+  masterGain.gain.value = settings.volume;
+  return audioCtx;
+}
+
+/** One enveloped oscillator note */
+function playTone(freq, start, length, peak, type = 'triangle') {
+  const osc = audioCtx.createOscillator();
+  const env = audioCtx.createGain();
+  osc.type = type;
+  osc.frequency.value = freq;
+  env.gain.setValueAtTime(0, start);
+  env.gain.linearRampToValueAtTime(peak, start + TOKENS.soundAttack);
+  env.gain.exponentialRampToValueAtTime(TOKENS.soundFloor, start + length);
+  osc.connect(env);
+  env.connect(masterGain);
+  osc.start(start);
+  osc.stop(start + length + TOKENS.soundTail);
+}
+
+/** Pointer click; `speed` (0–1) raises pitch and level so the slowdown is audible */
+function playTick(speed) {
+  const audio = getAudio();
+  if (!audio) return;
+  playTone(TOKENS.tickFrequency * (1 + TOKENS.tickPitchRise * speed), audio.currentTime, TOKENS.tickLength,
+    TOKENS.tickGain + TOKENS.tickGainRise * speed, 'square');
+}
+
+function playFanfare() {
+  const audio = getAudio();
+  if (!audio) return;
+  const notes = TOKENS.fanfareNotes;
+  const start = audio.currentTime + TOKENS.fanfareDelay;
+  notes.forEach((freq, i) => playTone(freq, start + i * TOKENS.fanfareStep, TOKENS.fanfareLength, TOKENS.fanfareGain));
+  // Hold a major chord an octave up under the last note
+  const chordAt = start + (notes.length - 1) * TOKENS.fanfareStep;
+  notes.slice(0, 3).forEach(freq => playTone(freq * 2, chordAt, TOKENS.chordLength, TOKENS.chordGain));
+}
+
+function toggleMute() {
+  settings.muted = !settings.muted;
+  saveSettings();
+  renderSoundControls();
+}
+
+function setVolume(value) {
+  settings.volume = Math.min(1, Math.max(0, parseFloat(value) || 0));
+  if (masterGain) masterGain.gain.value = settings.volume;
+  saveSettings();
+  renderSoundControls();
+}
+
+function renderSoundControls() {
+  const silent = settings.muted || settings.volume <= 0;
+  DOM.muteBtn.innerHTML = silent ? '&#128263;' : '&#128266;';
+  DOM.muteBtn.setAttribute('aria-pressed', settings.muted ? 'true' : 'false');
+  DOM.muteBtn.title = settings.muted ? 'Sound off — click to unmute' : 'Sound on — click to mute';
+  DOM.volume.value = settings.volume;
+  DOM.volume.disabled = settings.muted;
 }
 
 // ============================================================
@@ -418,7 +1293,7 @@ function startGlowAnim() {
 
   function tick(now) {
     glowPhase += TOKENS.glowPhaseStep;
-    drawWheel();
+    renderWheel();
     if (winnerIndex >= 0 && !spinning && (now - glowStart) < TOKENS.glowDuration) {
       glowAnimId = requestAnimationFrame(tick);
     } else {
@@ -440,13 +1315,58 @@ function stopGlowAnim() {
 //  WINNER OVERLAY
 // ============================================================
 
-function showWinner(name) {
+function showWinner(member, question) {
+  const name = member.displayName;
+  DOM.winnerLabel.textContent = 'Winner';
+  DOM.winnerList.classList.add('hidden');
+  DOM.winnerSingle.classList.remove('hidden');
+  DOM.passArea.classList.remove('hidden');
   DOM.winnerName.textContent = name;
+  DOM.winnerRole.textContent = member.role || '';
+  DOM.winnerRole.classList.toggle('hidden', !member.role);
+  DOM.winnerAvatar.classList.toggle('hidden', !member.avatar);
+  if (member.avatar) {
+    DOM.winnerAvatar.src = member.avatar;
+    DOM.winnerAvatar.alt = name;
+  } else {
+    DOM.winnerAvatar.removeAttribute('src');
+  }
+  DOM.questionText.textContent = question ? question.text : '';
+  DOM.questionMeta.textContent = question
+    ? labelFor(questionCategories, question.category) + ' · ' + labelFor(questionDifficulties, question.difficulty)
+    : '';
+  DOM.winnerQuestion.classList.toggle('hidden', !question);
+  activeQuestion = question;
+  resetAnswerArea(question);
+  resetPassPanel();
+  broadcastWinner([member], question);
+  openWinnerCard(name + ' has been selected!' + (question ? ' Question: ' + question.text : ''));
+}
+
+/** Overlay for a multi-winner draw: every name in pick order, no question */
+function showWinners(winners) {
+  DOM.winnerLabel.textContent = `${winners.length} Winners`;
+  DOM.winnerList.innerHTML = winners.map(member => `<li>
+      ${member.avatar ? `<img src="${escapeHtml(member.avatar)}" alt="" class="winner-avatar winner-avatar--small rounded-full object-cover">` : ''}
+      <span class="text-sn-violet font-heading font-black text-xl md:text-2xl leading-tight">${escapeHtml(member.displayName)}</span>
+      ${member.role ? `<span class="text-navy-50 text-xs font-semibold">${escapeHtml(member.role)}</span>` : ''}
+    </li>`).join('');
+  DOM.winnerList.classList.remove('hidden');
+  DOM.winnerSingle.classList.add('hidden');
+  DOM.winnerAvatar.classList.add('hidden');
+  DOM.winnerQuestion.classList.add('hidden');
+  DOM.passArea.classList.add('hidden');
+  activeQuestion = null;
+  broadcastWinner(winners, null);
+  openWinnerCard(winners.map(m => m.displayName).join(', ') + ' have been selected!');
+}
+
+function openWinnerCard(announcement) {
   DOM.overlay.classList.remove('hidden');
 
   // Announce to screen readers via the aria-live region
   const liveRegion = document.getElementById('sr-announcement');
-  if (liveRegion) liveRegion.textContent = name + ' has been selected!';
+  if (liveRegion) liveRegion.textContent = announcement;
 
   // Re-trigger animation
   DOM.winnerCard.classList.remove('animate-scale-in');
@@ -456,6 +1376,8 @@ function showWinner(name) {
 
 function closeOverlay() {
   DOM.overlay.classList.add('hidden');
+  lastWinnerSync = null;
+  broadcast('close');
 }
 
 function closeOverlayAndSpin() {
@@ -463,63 +1385,1950 @@ function closeOverlayAndSpin() {
   setTimeout(spin, TOKENS.overlayCloseDelay);
 }
 
+/** Spin from wherever the facilitator is: the winner card's Spin Again, or the wheel tab */
+function spinNext() {
+  if (isOpen(DOM.overlay)) {
+    closeOverlayAndSpin();
+  } else {
+    switchTab('wheel');
+    spin();
+  }
+}
+
 // ============================================================
 //  HISTORY (localStorage)
 // ============================================================
 
-function addToHistory(name) {
-  const now = new Date();
-  const timeStr = now.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ', ' + now.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-  spinHistory.push({ name, time: timeStr });
-  localStorage.setItem(TOKENS.storageKey, JSON.stringify(spinHistory));
+function addToHistory(member, question, draw) {
+  // The display name is a snapshot; memberId is what picks and scores key on
+  const entry = { memberId: member.id, name: member.displayName, timestamp: new Date().toISOString(), season: seasons.current };
+  if (question) {
+    entry.questionId = question.id;
+    entry.question = question.text;
+    entry.category = question.category;
+    entry.difficulty = question.difficulty;
+    if (question.answer) entry.answer = question.answer.text;
+  }
+  // Audit trail: seed, algorithm, draw index and eligible pool let anyone replay the pick
+  Object.assign(entry, draw);
+  ensureSession();
+  spinHistory.push(entry);
+  saveHistory();
   renderHistory();
+  return entry;
 }
 
+function saveHistory() {
+  localStorage.setItem(TOKENS.storageKey, JSON.stringify(spinHistory));
+  invalidateWheel(); // picked state changed
+  syncAudience();
+}
+
+/** "Clear & Restart": archive the current session and open a fresh one under the same title */
 function clearHistory() {
+  if (spinning) return;
+  const restarted = currentSession;
+  endSession();
+  if (restarted) beginSession(restarted.title, restarted.date);
+}
+
+function endSession() {
+  if (spinning) return;
+  archiveSession();
+  currentSession = null;
+  saveSession();
+  resetRound();
+}
+
+/** Empty the current pick list and everything derived from it */
+function resetRound() {
   spinHistory = [];
+  editingIndex = -1;
+  roundSeed = newRoundSeed();
+  saveRoundSeed();
+  renderSeed();
   localStorage.removeItem(TOKENS.storageKey);
+  activeEntry = null;
   winnerIndex = -1;
   stopGlowAnim();
   renderHistory();
   updateStatus();
+  renderFairPanel();
   drawWheel();
 }
 
+function resultBadge(result) {
+  if (!result) return '<span class="text-navy-40">&mdash;</span>';
+  const title = result.response ? ` title="Answered ${escapeHtml(result.response)}"` : '';
+  return result.correct
+    ? `<span class="history-result answer-result--correct"${title} aria-label="Correct">✓</span>`
+    : `<span class="history-result answer-result--incorrect"${title} aria-label="Incorrect">✗</span>`;
+}
+
 function renderHistory() {
+  renderSessionBar();
+  renderPastSessions();
+  renderGroupings();
+  DOM.undoBtn.disabled = spinHistory.length === 0;
+
   if (spinHistory.length === 0) {
     DOM.historyTable.classList.add('hidden');
     DOM.historyEmpty.classList.remove('hidden');
+    DOM.passesWrap.classList.add('hidden');
+    DOM.passesTbody.innerHTML = '';
     return;
   }
 
   DOM.historyEmpty.classList.add('hidden');
   DOM.historyTable.classList.remove('hidden');
+  DOM.historyTbody.innerHTML = historyRows(spinHistory, true);
+  const passes = passRows(spinHistory, true);
+  DOM.passesWrap.classList.toggle('hidden', !passes);
+  DOM.passesTbody.innerHTML = passes;
+}
 
-  DOM.historyTbody.innerHTML = spinHistory.map((entry, i) => {
-    const parity = i % 2 === 0 ? 'history-row--even' : 'history-row--odd';
+/** Timestamps are stored as ISO strings and only localized here */
+function formatEntryTime(entry) {
+  if (!entry.timestamp) return escapeHtml(entry.time || '');
+  const date = new Date(entry.timestamp);
+  const dateOpts = { month: 'short', day: 'numeric' };
+  if (date.getFullYear() !== new Date().getFullYear()) dateOpts.year = 'numeric';
+  return date.toLocaleDateString([], dateOpts) + ', ' + date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Table rows for the picks in a list of entries (passes are listed apart by
+ * passRows()); `editable` adds the edit/delete column (current session only).
+ * Buttons use the index into `entries`, the # column counts picks only.
+ */
+function historyRows(entries, editable = false) {
+  let n = 0;
+  let parity = '';
+  return entries.map((entry, i) => {
+    if (isPass(entry)) return '';
+    // Winners of one multi-winner draw share a number and a row colour
+    const grouped = i > 0 && isSameDraw(entry, entries[i - 1]);
+    if (!grouped) {
+      parity = n % 2 === 0 ? 'history-row--even' : 'history-row--odd';
+      n++;
+    }
+    if (editable && i === editingIndex) return historyEditRow(entry, n, i, parity);
+    let groupNote = '';
+    if (entry.picks && !grouped) {
+      groupNote = `<div class="history-question text-navy-50 font-normal">Drawn together (${entry.picks})</div>`;
+    } else if (entry.order) {
+      groupNote = `<div class="history-question text-navy-50 font-normal">Speaker ${entry.order.position + 1} of ${entry.pool.length}</div>`;
+    }
+    const actions = editable ? `<td class="py-2 px-1 text-right whitespace-nowrap">
+        <button type="button" class="icon-btn" onclick="editHistoryEntry(${i})"
+          aria-label="Edit pick ${n}">&#9998;</button>
+        <button type="button" class="icon-btn icon-btn--danger" onclick="deleteHistoryEntry(${i})"
+          aria-label="Delete pick ${n}">&times;</button>
+      </td>` : '';
+    return `<tr class="history-row ${parity}${grouped ? ' history-row--grouped' : ''}">
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm font-bold text-navy-40">${grouped ? '' : n}</td>
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm font-semibold text-sn-navy">
+        ${escapeHtml(entry.name)}
+        ${groupNote}
+        ${entry.question ? `<div class="history-question text-navy-50 font-normal">${escapeHtml(entry.question)}</div>` : ''}
+      </td>
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm text-center">${resultBadge(entry.result)}</td>
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm text-navy-50 text-right">${formatEntryTime(entry)}</td>
+      ${actions}
+    </tr>`;
+  }).join('');
+}
+
+const PASS_REASONS = [
+  { id: 'absent',    label: 'Absent' },
+  { id: 'presented', label: 'Already presented' },
+  { id: 'declined',  label: 'Declined' },
+];
+
+function passRows(entries, editable = false) {
+  let n = 0;
+  return entries.map((entry, i) => {
+    if (!isPass(entry)) return '';
+    const parity = n++ % 2 === 0 ? 'history-row--even' : 'history-row--odd';
+    const outcome = entry.pass.returned ? 'Back in the pool' : 'Out for the meeting';
+    const remove = editable ? `<td class="py-2 px-1 text-right">
+        <button type="button" class="icon-btn icon-btn--danger" onclick="deleteHistoryEntry(${i})"
+          aria-label="Delete ${escapeHtml(entry.name)}'s pass">&times;</button>
+      </td>` : '';
     return `<tr class="history-row ${parity}">
-      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm font-bold text-navy-40">${i + 1}</td>
-      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm font-semibold text-sn-navy">${entry.name}</td>
-      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm text-navy-50 text-right">${entry.time}</td>
+      <td class="py-2 px-2 md:px-3 text-xs md:text-sm font-semibold text-sn-navy">${escapeHtml(entry.name)}</td>
+      <td class="py-2 px-2 md:px-3 text-xs md:text-sm"><span class="history-pass">${escapeHtml(labelFor(PASS_REASONS, entry.pass.reason))}</span></td>
+      <td class="py-2 px-2 md:px-3 text-xs md:text-sm text-navy-50">${outcome}</td>
+      <td class="py-2 px-2 md:px-3 text-xs md:text-sm text-navy-50 text-right">${formatEntryTime(entry)}</td>
+      ${remove}
     </tr>`;
   }).join('');
 }
 
+function historyEditRow(entry, n, i, parity) {
+  // The picked member may have left the roster since; keep them selectable
+  const choices = members.some(m => m.id === entry.memberId)
+    ? members
+    : [{ id: entry.memberId, displayName: entry.name }].concat(members);
+  const result = entry.result ? (entry.result.correct ? 'correct' : 'incorrect') : '';
+  const option = (value, label) => `<option value="${value}"${value === result ? ' selected' : ''}>${label}</option>`;
+  return `<tr class="history-row ${parity}">
+      <td class="py-2 px-2 md:px-3 text-xs md:text-sm font-bold text-navy-40">${n}</td>
+      <td class="py-2 px-2 md:px-3">
+        <label for="edit-member" class="sr-only">Member</label>
+        <select id="edit-member" class="light-select w-full px-2 py-1 text-xs md:text-sm rounded-pill">
+          ${choices.map(m => `<option value="${escapeHtml(m.id)}"${m.id === entry.memberId ? ' selected' : ''}>${escapeHtml(m.displayName)}</option>`).join('')}
+        </select>
+      </td>
+      <td class="py-2 px-2 md:px-3 text-center">
+        <label for="edit-result" class="sr-only">Result</label>
+        <select id="edit-result" class="light-select px-2 py-1 text-xs md:text-sm rounded-pill">
+          ${option('', '&mdash;')}${option('correct', '✓')}${option('incorrect', '✗')}
+        </select>
+      </td>
+      <td class="py-2 px-2 md:px-3 text-xs md:text-sm text-navy-50 text-right">${formatEntryTime(entry)}</td>
+      <td class="py-2 px-1 text-right whitespace-nowrap">
+        <button type="button" class="icon-btn" onclick="saveHistoryEdit(${i})" aria-label="Save pick ${n}">&#10003;</button>
+        <button type="button" class="icon-btn" onclick="cancelHistoryEdit()" aria-label="Cancel editing">&#8630;</button>
+      </td>
+    </tr>`;
+}
+
 // ============================================================
-//  STATUS & TABS
+//  HISTORY CORRECTIONS
 // ============================================================
 
-function updateStatus() {
-  const available = getAvailable();
-  if (names.length === 0) {
-    DOM.statusBadge.textContent = 'Loading...';
-    return;
-  }
-  if (available.length === 0) {
-    DOM.statusBadge.textContent = `All ${names.length} members picked!`;
-    showAllPicked();
+/** Take back the most recent pick, e.g. an accidental spin */
+function undoLastPick() {
+  if (spinning || spinHistory.length === 0) return;
+  // A multi-winner draw is taken back as a whole
+  const last = spinHistory[spinHistory.length - 1];
+  let start = spinHistory.length - 1;
+  while (start > 0 && isSameDraw(spinHistory[start - 1], last)) start--;
+  removeHistoryEntries(start, spinHistory.length - start);
+}
+
+function isSameDraw(a, b) {
+  return !!a.picks && a.seed === b.seed && a.drawIndex === b.drawIndex;
+}
+
+function deleteHistoryEntry(index) {
+  const entry = spinHistory[index];
+  if (!entry || spinning) return;
+  const what = isPass(entry) ? `${entry.name}'s pass` : `${entry.name}'s pick`;
+  if (!confirm(`Delete ${what}? They go back on the wheel.`)) return;
+  removeHistoryEntries(index, 1);
+}
+
+/** Drop picks, return their questions to the deck and redraw everything that counts picks */
+function removeHistoryEntries(index, count) {
+  const removed = spinHistory.splice(index, count);
+  removed.forEach(entry => {
+    if (!isPass(entry)) returnQuestion(entry);
+    if (entry === activeEntry) dismissWinner();
+    if (entry.order) stepOrderBack(entry.order);
+  });
+  editingIndex = -1;
+  saveHistory();
+  onHistoryChange();
+}
+
+function editHistoryEntry(index) {
+  if (spinning) return;
+  editingIndex = index;
+  renderHistory();
+  document.getElementById('edit-member').focus();
+}
+
+function cancelHistoryEdit() {
+  editingIndex = -1;
+  renderHistory();
+}
+
+/** Reassign a pick to someone else and/or correct its result */
+function saveHistoryEdit(index) {
+  const entry = spinHistory[index];
+  const memberId = document.getElementById('edit-member').value;
+  const result = document.getElementById('edit-result').value;
+  const member = members.find(m => m.id === memberId);
+  const wasResult = entry.result ? (entry.result.correct ? 'correct' : 'incorrect') : '';
+  let changed = false;
+  if (member && member.id !== entry.memberId) {
+    entry.memberId = member.id;
+    entry.name = member.displayName;
+    changed = true;
+  }
+  if (result !== wasResult) {
+    if (result) entry.result = { correct: result === 'correct', method: 'manual' };
+    else delete entry.result;
+    changed = true;
+  }
+  // The verify view shows a reassigned seeded pick as edited rather than as a failed replay
+  if (changed) entry.editedAt = new Date().toISOString();
+  editingIndex = -1;
+  saveHistory();
+  onHistoryChange();
+}
+
+/** Put an entry's question back in the unused deck */
+function returnQuestion(entry) {
+  const used = usedQuestions.lastIndexOf(entry.questionId);
+  if (used < 0) return;
+  usedQuestions.splice(used, 1);
+  localStorage.setItem(TOKENS.questionsStorageKey, JSON.stringify(usedQuestions));
+}
+
+function dismissWinner() {
+  activeEntry = null;
+  winnerIndex = -1;
+  stopGlowAnim();
+  closeOverlay();
+}
+
+function resetPassPanel() {
+  passReason = null;
+  DOM.passPanel.classList.add('hidden');
+  DOM.passToggle.setAttribute('aria-expanded', 'false');
+  renderPassReasons();
+}
+
+function togglePassPanel() {
+  const open = DOM.passPanel.classList.toggle('hidden') === false;
+  DOM.passToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
+function setPassReason(reason) {
+  passReason = reason;
+  renderPassReasons();
+}
+
+function renderPassReasons() {
+  DOM.passReasons.innerHTML = PASS_REASONS.map(r =>
+    `<button type="button" class="filter-chip px-2.5 py-1 text-xs font-bold rounded-pill"
+      aria-pressed="${r.id === passReason}" onclick="setPassReason('${r.id}')">${r.label}</button>`).join('');
+  DOM.passPanel.querySelectorAll('.pass-action').forEach(btn => { btn.disabled = !passReason; });
+}
+
+/**
+ * Record the current winner as a pass. `returnToPool` puts them back on the
+ * wheel; otherwise they sit out the rest of the meeting like a normal pick.
+ * The question wasn't answered, so it goes back in the deck.
+ */
+function passWinner(returnToPool) {
+  if (!activeEntry || !passReason) return;
+  activeEntry.pass = { reason: passReason, returned: returnToPool };
+  delete activeEntry.result;
+  returnQuestion(activeEntry);
+  dismissWinner();
+  saveHistory();
+  onHistoryChange();
+}
+
+/** Picks changed outside a spin: refresh the list, the dimming and the counts */
+function onHistoryChange() {
+  renderHistory();
+  updateStatus();
+  renderFairPanel();
+  drawWheel();
+}
+
+// ============================================================
+//  MEETING SESSIONS & SEASONS (localStorage)
+// ============================================================
+
+function saveSession() {
+  if (currentSession) {
+    localStorage.setItem(TOKENS.sessionStorageKey, JSON.stringify(currentSession));
+  } else {
+    localStorage.removeItem(TOKENS.sessionStorageKey);
+  }
+}
+
+function saveArchive() {
+  localStorage.setItem(TOKENS.archiveStorageKey, JSON.stringify(sessionArchive));
+}
+
+function formatSessionDate(key) {
+  if (!key) return 'Undated';
+  return new Date(key + 'T00:00:00').toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function beginSession(title, date) {
+  currentSession = {
+    id: 'm' + Date.now().toString(36),
+    title: title || `Meeting — ${formatSessionDate(date)}`,
+    date,
+    startedAt: new Date().toISOString(),
+  };
+  saveSession();
+  renderSessionBar();
+}
+
+function startSession(event) {
+  event.preventDefault();
+  if (currentSession) return;
+  beginSession(DOM.sessionName.value.trim(), DOM.sessionDate.value || dateKey());
+  DOM.sessionName.value = '';
+}
+
+/** Spinning without starting a meeting opens an untitled one for today */
+function ensureSession() {
+  if (!currentSession) beginSession('', dateKey());
+}
+
+/** Move the current session into the archive. Empty sessions are dropped. */
+function archiveSession() {
+  if (spinHistory.length === 0 && !(currentSession && (currentSession.groupings || currentSession.orders))) return;
+  const session = currentSession || { id: 'm' + Date.now().toString(36), title: 'Untitled meeting', date: dateKey() };
+  sessionArchive.push(Object.assign({}, session, { endedAt: new Date().toISOString(), entries: spinHistory }));
+  saveArchive();
+}
+
+/** Rounds archived before sessions existed only had { clearedAt, entries } */
+function migrateArchive() {
+  sessionArchive.forEach((round, i) => {
+    if (round.id) return;
+    round.id = `legacy-${i + 1}`;
+    round.title = `Round ${i + 1}`;
+    round.date = round.clearedAt ? dateKey(new Date(round.clearedAt)) : null;
+    round.endedAt = round.clearedAt || null;
+    delete round.clearedAt;
+  });
+}
+
+function renderSessionBar() {
+  DOM.sessionCurrent.classList.toggle('hidden', !currentSession);
+  DOM.sessionForm.classList.toggle('hidden', !!currentSession);
+  if (currentSession) {
+    DOM.sessionTitle.textContent = `${currentSession.title} · ${formatSessionDate(currentSession.date)}`;
+  } else if (!DOM.sessionDate.value) {
+    DOM.sessionDate.value = dateKey();
+  }
+}
+
+function renderPastSessions() {
+  DOM.pastSessionsWrap.classList.toggle('hidden', sessionArchive.length === 0);
+  DOM.pastSessions.innerHTML = sessionArchive.slice().reverse().map(session => {
+    const picks = session.entries.filter(e => !isPass(e)).length;
+    const passCount = session.entries.length - picks;
+    const passes = passRows(session.entries);
+    return `<details class="session-details rounded-xl border border-navy-10 overflow-hidden">
+      <summary class="px-3 py-2 flex items-center gap-2 text-xs md:text-sm hover:bg-sn-light">
+        <span class="flex-1 min-w-0 truncate font-semibold text-sn-navy">${escapeHtml(session.title)}</span>
+        <span class="text-navy-50">${formatSessionDate(session.date)} · ${picks} pick${picks === 1 ? '' : 's'}${passCount ? ` · ${passCount} pass${passCount === 1 ? '' : 'es'}` : ''}${session.groupings ? ` · ${session.groupings.length} grouping${session.groupings.length === 1 ? '' : 's'}` : ''}</span>
+      </summary>
+      <div class="px-2 pb-2">
+        <table class="w-full text-left">
+          <caption class="sr-only">Picks from ${escapeHtml(session.title)}</caption>
+          <tbody>${historyRows(session.entries)}</tbody>
+        </table>
+        ${passes ? `<table class="w-full text-left mt-2">
+          <caption class="sr-only">Passes from ${escapeHtml(session.title)}</caption>
+          <tbody>${passes}</tbody>
+        </table>` : ''}
+        ${session.groupings ? `<ul class="mt-2">${groupingRows(session)}</ul>` : ''}
+        <button type="button" data-action="verify" data-session="${escapeHtml(session.id)}"
+          class="mt-1 ml-2 text-sn-violet hover:text-sn-magenta text-xs font-bold transition-colors duration-200">
+          Verify this meeting
+        </button>
+      </div>
+    </details>`;
+  }).join('');
+}
+
+function saveSeasons() {
+  localStorage.setItem(TOKENS.seasonsStorageKey, JSON.stringify(seasons));
+}
+
+/** Start a new season. Later picks count toward it; past seasons stay browsable. */
+function startSeason(event) {
+  event.preventDefault();
+  const name = DOM.seasonName.value.trim() || `Season ${seasons.list.length + 1}`;
+  const id = 's' + (seasons.list.length + 1);
+  seasons.list.push({ id, name, startedAt: new Date().toISOString() });
+  seasons.current = id;
+  saveSeasons();
+  DOM.seasonName.value = '';
+  DOM.seasonSelect.value = id;
+  renderScoreboard();
+}
+
+// ============================================================
+//  EXPORT & IMPORT
+// ============================================================
+
+const EXPORT_COLUMNS = [
+  'session', 'sessionId', 'sessionDate', 'name', 'memberId', 'timestamp', 'season',
+  'questionId', 'category', 'difficulty', 'question', 'answer', 'result', 'response',
+  'pass', 'passOutcome',
+];
+
+function toggleExportPanel() {
+  const open = DOM.exportPanel.classList.toggle('hidden') === false;
+  DOM.exportToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
+/** 'current' is the meeting in progress; 'all' adds every archived one before it */
+function sessionsForExport(scope) {
+  const current = Object.assign({}, currentSession || { id: 'current', title: 'Current meeting', date: dateKey() }, { entries: spinHistory });
+  const sessions = scope === 'all' ? sessionArchive.slice() : [];
+  if (spinHistory.length > 0 || scope !== 'all') sessions.push(current);
+  return sessions;
+}
+
+function exportHistory(scope, format) {
+  const sessions = sessionsForExport(scope);
+  const body = format === 'csv'
+    ? '\uFEFF' + toCsv(sessions) // BOM so Excel reads it as UTF-8
+    : JSON.stringify({ exportedAt: new Date().toISOString(), sessions }, null, 2);
+  const name = scope === 'all' ? 'all-meetings' : slugify(sessions[0].title) || 'meeting';
+  downloadFile(`spin-history-${name}-${dateKey()}.${format}`, body, format === 'csv' ? 'text/csv' : 'application/json');
+}
+
+function downloadFile(filename, body, type) {
+  const url = URL.createObjectURL(new Blob([body], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (FORMULA_START.test(text)) text = "'" + text;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(sessions) {
+  const rows = sessions.flatMap(session => session.entries.map(entry => ({
+    session:     session.title,
+    sessionId:   session.id,
+    sessionDate: session.date,
+    name:        entry.name,
+    memberId:    entry.memberId,
+    timestamp:   entry.timestamp || entry.time,
+    season:      entry.season,
+    questionId:  entry.questionId,
+    category:    entry.category,
+    difficulty:  entry.difficulty,
+    question:    entry.question,
+    answer:      entry.answer,
+    result:      entry.result ? (entry.result.correct ? 'correct' : 'incorrect') : '',
+    response:    entry.result && entry.result.response,
+    pass:        entry.pass && entry.pass.reason,
+    passOutcome: entry.pass ? (entry.pass.returned ? 'returned' : 'excluded') : '',
+  })));
+  return [EXPORT_COLUMNS, ...rows.map(row => EXPORT_COLUMNS.map(col => row[col]))]
+    .map(cells => cells.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+/** Minimal RFC 4180 reader: quoted fields, doubled quotes, CRLF or LF */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c !== ''));
+}
+
+function sessionsFromCsv(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header || !header.includes('name')) throw new Error('CSV has no "name" column.');
+  const byId = new Map();
+  rows.forEach(cells => {
+    const row = {};
+    header.forEach((col, i) => {
+      const value = cells[i] || '';
+      row[col] = value[0] === "'" && FORMULA_START.test(value.slice(1)) ? value.slice(1) : value;
+    });
+    if (!row.name) return;
+    const sessionId = row.sessionId || slugify(row.session) || 'imported';
+    if (!byId.has(sessionId)) {
+      byId.set(sessionId, { id: sessionId, title: row.session || 'Imported meeting', date: row.sessionDate || null, entries: [] });
+    }
+    const entry = { memberId: row.memberId || slugify(row.name), name: row.name };
+    if (row.timestamp) {
+      if (isNaN(Date.parse(row.timestamp))) entry.time = row.timestamp;
+      else entry.timestamp = new Date(row.timestamp).toISOString();
+    }
+    ['season', 'questionId', 'category', 'difficulty', 'question', 'answer'].forEach(key => {
+      if (row[key]) entry[key] = row[key];
+    });
+    if (row.result === 'correct' || row.result === 'incorrect') {
+      entry.result = { correct: row.result === 'correct' };
+      if (row.response) entry.result.response = row.response;
+    }
+    if (row.pass) entry.pass = { reason: row.pass, returned: row.passOutcome === 'returned' };
+    byId.get(sessionId).entries.push(entry);
+  });
+  return [...byId.values()];
+}
+
+function sessionsFromJson(text) {
+  const data = JSON.parse(text);
+  const sessions = Array.isArray(data) ? data : data.sessions;
+  if (!Array.isArray(sessions) || !sessions.every(sess => sess && Array.isArray(sess.entries))) {
+    throw new Error('JSON is not a spin history export.');
+  }
+  return sessions;
+}
+
+// Imported files are untrusted: fields are copied only when they have the
+// type this app writes, and ids that could not be ours are replaced, since
+// ids end up in markup and every string here is later sorted or compared.
+
+const SAFE_ID = /^[\w-]{1,64}$/;
+const ENTRY_STRING_FIELDS = ['memberId', 'name', 'timestamp', 'time', 'season', 'questionId', 'question',
+  'category', 'difficulty', 'answer', 'seed', 'rng', 'editedAt'];
+
+function isString(value) {
+  return typeof value === 'string';
+}
+
+function isCount(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function isIsoTime(value) {
+  return isString(value) && !isNaN(Date.parse(value));
+}
+
+function isPersonList(list) {
+  return Array.isArray(list) && list.every(p => p && isString(p.memberId) && isString(p.name));
+}
+
+function cleanImportedEntry(raw) {
+  const entry = {};
+  ENTRY_STRING_FIELDS.forEach(key => { if (isString(raw[key])) entry[key] = raw[key]; });
+  if (isCount(raw.drawIndex)) entry.drawIndex = raw.drawIndex;
+  if (Array.isArray(raw.pool) && raw.pool.every(isString)) entry.pool = raw.pool;
+  if (Array.isArray(raw.weights) && raw.weights.every(Number.isFinite)) entry.weights = raw.weights;
+  if (isCount(raw.picks)) entry.picks = raw.picks;
+  if (isCount(raw.groupPosition)) entry.groupPosition = raw.groupPosition;
+  if (raw.result && typeof raw.result.correct === 'boolean') {
+    entry.result = { correct: raw.result.correct };
+    if (isString(raw.result.response)) entry.result.response = raw.result.response;
+    if (isString(raw.result.method)) entry.result.method = raw.result.method;
+  }
+  if (raw.pass && isString(raw.pass.reason)) entry.pass = { reason: raw.pass.reason, returned: raw.pass.returned === true };
+  if (raw.order && SAFE_ID.test(raw.order.id) && isCount(raw.order.position) && entry.pool) {
+    entry.order = { id: raw.order.id, position: raw.order.position };
+  }
+  return entry;
+}
+
+function cleanImportedDraw(raw) {
+  const draw = { id: raw.id };
+  ['timestamp', 'finishedAt'].forEach(key => { if (isIsoTime(raw[key])) draw[key] = raw[key]; });
+  ['seed', 'rng'].forEach(key => { if (isString(raw[key])) draw[key] = raw[key]; });
+  if (isCount(raw.drawIndex)) draw.drawIndex = raw.drawIndex;
+  return draw;
+}
+
+function cleanImportedSession(raw, index) {
+  const session = {
+    id: SAFE_ID.test(raw.id) ? raw.id : `import-${Date.now().toString(36)}-${index}`,
+    title: isString(raw.title) ? raw.title : 'Imported meeting',
+    date: isString(raw.date) && /^\d{4}-\d{2}-\d{2}$/.test(raw.date) ? raw.date : null,
+    entries: raw.entries.filter(entry => entry && typeof entry === 'object').map(cleanImportedEntry),
+  };
+  ['startedAt', 'endedAt'].forEach(key => { if (isIsoTime(raw[key])) session[key] = raw[key]; });
+
+  const groupings = (Array.isArray(raw.groupings) ? raw.groupings : [])
+    .filter(gr => gr && SAFE_ID.test(gr.id) && Array.isArray(gr.groups) && gr.groups.every(isPersonList))
+    .map(gr => Object.assign(cleanImportedDraw(gr), {
+      rules: Array.isArray(gr.rules) ? gr.rules.filter(r => r && isString(r.a) && isString(r.b) && isString(r.type)) : [],
+      groups: gr.groups,
+    }));
+  if (groupings.length) session.groupings = groupings;
+
+  const orders = (Array.isArray(raw.orders) ? raw.orders : [])
+    .filter(order => order && SAFE_ID.test(order.id) && isPersonList(order.queue) && Number.isInteger(order.position))
+    .map(order => Object.assign(cleanImportedDraw(order), {
+      pool: Array.isArray(order.pool) && order.pool.every(isString) ? order.pool : order.queue.map(p => p.memberId),
+      queue: order.queue,
+      position: order.position,
+    }));
+  if (orders.length) session.orders = orders;
+  return session;
+}
+
+/** Same member at the same moment is the same pick, whichever file it came from */
+function entryKey(entry) {
+  return `${entry.memberId}|${entry.timestamp || entry.time || ''}`;
+}
+
+function byTimestamp(a, b) {
+  return String(a.timestamp || '').localeCompare(String(b.timestamp || ''));
+}
+
+/** Groupings or orders from `incoming` that `target` does not hold yet, added to it by time */
+function mergeDraws(target, key, incoming) {
+  const known = new Set((target[key] || []).map(draw => draw.id));
+  const fresh = (incoming || []).filter(draw => !known.has(draw.id));
+  if (fresh.length) target[key] = (target[key] || []).concat(fresh).sort(byTimestamp);
+  return fresh.length;
+}
+
+/**
+ * Merge exported sessions into this browser's history. Picks, groupings and
+ * orders already on record are skipped; sessions we already have get the new
+ * ones added, unknown ones are archived as past meetings.
+ */
+function mergeSessions(incoming) {
+  const seen = new Set(allHistoryEntries().map(entryKey));
+  let added = 0;
+  let duplicates = 0;
+  let groupingsAdded = 0;
+  let ordersAdded = 0;
+  let touchedCurrent = false;
+
+  /** Adds the session's new groupings and orders to `target`; true when there were any */
+  function mergeAllDraws(target, session) {
+    const newGroupings = mergeDraws(target, 'groupings', session.groupings);
+    const newOrders = mergeDraws(target, 'orders', session.orders);
+    groupingsAdded += newGroupings;
+    ordersAdded += newOrders;
+    return newGroupings + newOrders > 0;
+  }
+
+  incoming.map(cleanImportedSession).forEach(session => {
+    const fresh = session.entries.filter(entry => {
+      if (!entry.name) return false;
+      migrateHistoryEntries([entry]);
+      const key = entryKey(entry);
+      if (seen.has(key)) { duplicates++; return false; }
+      seen.add(key);
+      return true;
+    });
+    added += fresh.length;
+
+    if (currentSession && session.id === currentSession.id) {
+      if (!mergeAllDraws(currentSession, session) && fresh.length === 0) return;
+      spinHistory = spinHistory.concat(fresh).sort(byTimestamp);
+      editingIndex = -1;
+      touchedCurrent = true;
+      return;
+    }
+    const existing = sessionArchive.find(sess => sess.id === session.id);
+    if (existing) {
+      existing.entries = existing.entries.concat(fresh).sort(byTimestamp);
+      mergeAllDraws(existing, session);
+      return;
+    }
+    const { entries, groupings, orders, ...meta } = session;
+    const sorted = fresh.sort(byTimestamp);
+    const archived = Object.assign(meta, {
+      id: meta.id || 'm' + Date.now().toString(36) + sessionArchive.length,
+      title: meta.title || 'Imported meeting',
+      endedAt: meta.endedAt || (sorted.length && sorted[sorted.length - 1].timestamp) || null,
+      entries: sorted,
+    });
+    if (!mergeAllDraws(archived, { groupings, orders }) && sorted.length === 0) return;
+    sessionArchive.push(archived);
+  });
+
+  sessionArchive.sort((a, b) => String(a.endedAt || a.date || '').localeCompare(String(b.endedAt || b.date || '')));
+  saveArchive();
+  if (touchedCurrent) {
+    saveSession();
+    saveHistory();
+  }
+  return { added, duplicates, groupings: groupingsAdded, orders: ordersAdded };
+}
+
+function importHistory(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+  if (spinning) {
+    DOM.importStatus.textContent = 'Wait for the wheel to stop first.';
+    DOM.importFile.value = ''; // let the same file be picked again
+    return;
+  }
+  file.text()
+    .then(text => {
+      const sessions = /\.json$/i.test(file.name) || /^\s*[[{]/.test(text) ? sessionsFromJson(text) : sessionsFromCsv(text);
+      const { added, duplicates, groupings, orders } = mergeSessions(sessions);
+      DOM.importStatus.textContent = `Imported ${added} pick${added === 1 ? '' : 's'}`
+        + (groupings ? ` · ${groupings} grouping${groupings === 1 ? '' : 's'}` : '')
+        + (orders ? ` · ${orders} speaking order${orders === 1 ? '' : 's'}` : '')
+        + (duplicates ? ` · ${duplicates} duplicate${duplicates === 1 ? '' : 's'} skipped` : '');
+      renderHistory();
+      updateStatus();
+      renderFairPanel();
+      drawWheel();
+    })
+    .catch(err => {
+      DOM.importStatus.textContent = `Import failed: ${err.message}`;
+    })
+    .finally(() => {
+      DOM.importFile.value = '';
+    });
+}
+
+// ============================================================
+//  SCOREBOARD
+// ============================================================
+
+const ALL_SEASONS = 'all';
+
+function pointsFor(difficulty) {
+  const level = questionDifficulties.find(d => d.id === difficulty);
+  return level && level.points ? level.points : 1;
+}
+
+/** Every saved pick in chronological order: archived rounds first, then the current one */
+function allHistoryEntries() {
+  return sessionArchive.flatMap(session => session.entries).concat(spinHistory);
+}
+
+/** Aggregate graded answers per member for one season (or all of them) */
+function computeScores(seasonId) {
+  const stats = new Map();
+
+  allHistoryEntries().forEach(entry => {
+    if (!entry.result && !isPass(entry)) return;
+    if (seasonId !== ALL_SEASONS && (entry.season || seasons.list[0].id) !== seasonId) return;
+
+    const key = entry.memberId || slugify(entry.name);
+    const st = stats.get(key)
+      || { name: entry.name, points: 0, correct: 0, attempted: 0, streak: 0, bestStreak: 0, passes: 0 };
+    st.name = entry.name; // latest display name wins
+    stats.set(key, st);
+    // A pass is tallied on its own and doesn't break a streak
+    if (isPass(entry)) {
+      st.passes++;
+      return;
+    }
+    st.attempted++;
+    if (entry.result.correct) {
+      st.correct++;
+      st.points += pointsFor(entry.difficulty);
+      st.streak++;
+      st.bestStreak = Math.max(st.bestStreak, st.streak);
+    } else {
+      st.streak = 0;
+    }
+  });
+
+  return Array.from(stats.values()).sort((a, b) =>
+    b.points - a.points || b.correct - a.correct || a.name.localeCompare(b.name));
+}
+
+function renderSeasonOptions() {
+  const selected = DOM.seasonSelect.value || seasons.current;
+  const options = seasons.list.slice().reverse().map(season =>
+    `<option value="${season.id}">${escapeHtml(season.name)}${season.id === seasons.current ? ' (current)' : ''}</option>`);
+  options.push(`<option value="${ALL_SEASONS}">All time</option>`);
+  DOM.seasonSelect.innerHTML = options.join('');
+  DOM.seasonSelect.value = selected;
+}
+
+function renderScoreboard() {
+  renderSeasonOptions();
+  const scores = computeScores(DOM.seasonSelect.value);
+
+  if (scores.length === 0) {
+    DOM.scoreboardTable.classList.add('hidden');
+    DOM.scoreboardEmpty.classList.remove('hidden');
+    return;
+  }
+
+  DOM.scoreboardEmpty.classList.add('hidden');
+  DOM.scoreboardTable.classList.remove('hidden');
+
+  let rank = 0;
+  DOM.scoreboardTbody.innerHTML = scores.map((st, i) => {
+    // Members tied on points share a rank
+    if (i === 0 || st.points !== scores[i - 1].points) rank = i + 1;
+    const parity = i % 2 === 0 ? 'history-row--even' : 'history-row--odd';
+    const leader = rank === 1 ? ' score-row--leader' : '';
+    return `<tr class="history-row ${parity}${leader}">
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm font-bold text-navy-40">${rank}</td>
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm font-semibold text-sn-navy">${escapeHtml(st.name)}</td>
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm font-bold text-sn-violet text-right">${st.points}</td>
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm text-navy-60 text-right">${st.correct} / ${st.attempted}</td>
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm text-navy-60 text-right"
+        title="Best run of correct answers (current run: ${st.streak})">${st.bestStreak}</td>
+      <td class="py-2 px-2 md:py-2.5 md:px-3 text-xs md:text-sm text-navy-60 text-right">${st.passes}</td>
+    </tr>`;
+  }).join('');
+}
+
+// ============================================================
+//  MEMBERS
+// ============================================================
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function uniqueMemberId(base, taken) {
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+  taken.add(id);
+  return id;
+}
+
+/**
+ * Accept member objects ({ id, displayName, role, avatar, color, active })
+ * or the older plain-string list, and return objects with unique ids.
+ */
+function normalizeMembers(list) {
+  const taken = new Set();
+  return list
+    .map(raw => (typeof raw === 'string' ? { displayName: raw } : Object.assign({}, raw)))
+    .filter(m => String(m.displayName || m.id || '').trim())
+    .map(m => {
+      const displayName = String(m.displayName || m.id).trim();
+      const member = { id: uniqueMemberId(m.id ? String(m.id) : slugify(displayName), taken), displayName };
+      member.active = m.active !== false;
+      if (m.role) member.role = String(m.role);
+      if (m.avatar) member.avatar = String(m.avatar);
+      if (HEX_COLOR.test(m.color)) member.color = m.color; // slice fills go through hexToRgba()
+      return member;
+    });
+}
+
+/**
+ * Upgrade entries saved by older versions: derive missing member ids and
+ * turn the old pre-formatted time strings into ISO timestamps. `recordedBy`
+ * is the latest the picks could have happened, used to guess the year.
+ */
+function migrateHistoryEntries(entries, recordedBy = new Date()) {
+  entries.forEach(entry => {
+    if (!entry.memberId) entry.memberId = slugify(entry.name);
+    if (!entry.timestamp && entry.time) {
+      const timestamp = parseLegacyTime(entry.time, recordedBy);
+      // Unparseable strings stay as `time` so the row still shows something
+      if (timestamp) {
+        entry.timestamp = timestamp;
+        delete entry.time;
+      }
+    }
+  });
+}
+
+const MONTH_ABBR = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// "Oct 18, 3:04 PM" (en-US) or "18 Oct, 15:04" (en-GB style)
+const LEGACY_TIME = /^(?:([a-z]{3,})\.? (\d{1,2})|(\d{1,2}) ([a-z]{3,})\.?),? (\d{1,2})[:.](\d{2})\s*([ap])?\.?m?\.?$/i;
+
+/**
+ * Best-effort parse of a legacy "Oct 18, 3:04 PM" string. They carry no year,
+ * so take the most recent one that isn't after `recordedBy`. Returns null if
+ * the string doesn't look like one.
+ */
+function parseLegacyTime(text, recordedBy) {
+  const match = LEGACY_TIME.exec(String(text).trim());
+  if (!match) return null;
+  const month = MONTH_ABBR.indexOf((match[1] || match[4]).slice(0, 3).toLowerCase());
+  const day = Number(match[2] || match[3]);
+  let hour = Number(match[5]);
+  if (match[7]) hour = hour % 12 + (match[7].toLowerCase() === 'p' ? 12 : 0);
+  if (month < 0 || day > 31 || hour > 23) return null;
+
+  const date = new Date(recordedBy.getFullYear(), month, day, hour, Number(match[6]));
+  if (date > recordedBy) date.setFullYear(date.getFullYear() - 1);
+  return date.toISOString();
+}
+
+// ============================================================
+//  ROSTERS (localStorage, seeded from data/team.json)
+// ============================================================
+
+function saveRosters() {
+  localStorage.setItem(TOKENS.rostersStorageKey, JSON.stringify(rosterStore));
+}
+
+function getActiveRoster() {
+  return rosterStore.rosters.find(r => r.id === rosterStore.activeId) || rosterStore.rosters[0];
+}
+
+/**
+ * Load saved rosters, or seed a single roster from the team.json member list.
+ * Rosters saved before members had ids (plain strings) are upgraded in place.
+ */
+function initRosters(seedMembers) {
+  rosterStore = JSON.parse(localStorage.getItem(TOKENS.rostersStorageKey) || 'null');
+  if (!rosterStore || !rosterStore.rosters || rosterStore.rosters.length === 0) {
+    rosterStore = { activeId: 'r1', rosters: [{ id: 'r1', name: 'Finance', members: seedMembers }] };
+  }
+  rosterStore.rosters.forEach(r => { r.members = normalizeMembers(r.members); });
+  saveRosters();
+  applyRoster();
+}
+
+/** Rebuild the wheel from the active roster (no reload needed) */
+function applyRoster() {
+  const roster = getActiveRoster();
+  members = roster.members.filter(m => m.active);
+  slice = members.length ? TWO_PI / members.length : 0;
+  winnerIndex = -1;
+  stopGlowAnim();
+  DOM.rosterToggle.textContent = `Roster: ${roster.name}`;
+  renderCheckin();
+  renderFairPanel();
+  drawWheel();
+  updateStatus();
+}
+
+/** Persist roster edits and redraw everything that depends on them */
+function commitRosterChange() {
+  if (spinning) {
+    // Slice indices are locked in until the wheel stops, so put the saved rosters back
+    rosterStore = JSON.parse(localStorage.getItem(TOKENS.rostersStorageKey));
+    showRosterError('Wait for the wheel to stop first.');
+    renderRosterEditor();
+    return;
+  }
+  saveRosters();
+  applyRoster();
+  renderRosterEditor();
+}
+
+function nextRosterId() {
+  const used = rosterStore.rosters.map(r => parseInt(r.id.slice(1), 10) || 0);
+  return 'r' + (Math.max(0, ...used) + 1);
+}
+
+function openRosterEditor() {
+  if (spinning) return; // slice indices are locked in until the wheel stops
+  renderRosterEditor();
+  DOM.rosterOverlay.classList.remove('hidden');
+  DOM.memberName.focus();
+}
+
+function closeRosterEditor() {
+  DOM.rosterOverlay.classList.add('hidden');
+  DOM.rosterToggle.focus();
+}
+
+function showRosterError(message) {
+  DOM.rosterError.textContent = message;
+  DOM.rosterError.classList.toggle('hidden', !message);
+}
+
+function selectRoster(id) {
+  rosterStore.activeId = id;
+  showRosterError('');
+  commitRosterChange();
+}
+
+/** New rosters start as a copy of the active one — trimming is quicker than retyping */
+function createRoster() {
+  const id = nextRosterId();
+  rosterStore.rosters.push({
+    id,
+    name: `Roster ${rosterStore.rosters.length + 1}`,
+    members: getActiveRoster().members.map(m => Object.assign({}, m)),
+  });
+  rosterStore.activeId = id;
+  showRosterError('');
+  commitRosterChange();
+  DOM.rosterName.focus();
+  DOM.rosterName.select();
+}
+
+function renameRoster(name) {
+  const trimmed = name.trim();
+  if (!trimmed) {
+    DOM.rosterName.value = getActiveRoster().name;
+    return;
+  }
+  getActiveRoster().name = trimmed;
+  commitRosterChange();
+}
+
+function deleteRoster() {
+  if (rosterStore.rosters.length <= 1) return;
+  const roster = getActiveRoster();
+  if (!confirm(`Delete the "${roster.name}" roster? Spin history is kept.`)) return;
+  rosterStore.rosters = rosterStore.rosters.filter(r => r.id !== roster.id);
+  rosterStore.activeId = rosterStore.rosters[0].id;
+  commitRosterChange();
+}
+
+/**
+ * Members with the same display name get distinct ids ("chris", "chris-2"),
+ * but a shared name is still flagged so the facilitator can disambiguate it.
+ */
+function addMember(event) {
+  event.preventDefault();
+  const name = DOM.memberName.value.trim();
+  if (!name) return;
+
+  const roster = getActiveRoster();
+  const taken = new Set(roster.members.map(m => m.id));
+  const duplicate = roster.members.some(m => m.displayName.toLowerCase() === name.toLowerCase());
+
+  roster.members.push({ id: uniqueMemberId(slugify(name), taken), displayName: name, active: true });
+  DOM.memberName.value = '';
+  showRosterError(duplicate ? `There are now two members named ${name} — consider a more distinct display name.` : '');
+  commitRosterChange();
+}
+
+/** Inactive members stay on the roster (and in history) but are left off the wheel */
+function toggleMemberActive(index) {
+  const member = getActiveRoster().members[index];
+  member.active = !member.active;
+  commitRosterChange();
+}
+
+function removeMember(index) {
+  getActiveRoster().members.splice(index, 1);
+  commitRosterChange();
+}
+
+/** Move a member up (-1) or down (+1) — slice order on the wheel follows */
+function moveMember(index, direction) {
+  const members = getActiveRoster().members;
+  const target = index + direction;
+  if (target < 0 || target >= members.length) return;
+  [members[index], members[target]] = [members[target], members[index]];
+  commitRosterChange();
+}
+
+function renderRosterEditor() {
+  const roster = getActiveRoster();
+
+  DOM.rosterSelect.innerHTML = rosterStore.rosters.map(r =>
+    `<option value="${r.id}">${escapeHtml(r.name)}</option>`).join('');
+  DOM.rosterSelect.value = roster.id;
+  DOM.rosterName.value = roster.name;
+  DOM.rosterDelete.disabled = rosterStore.rosters.length <= 1;
+  DOM.rosterCount.textContent = `(${roster.members.filter(m => m.active).length} of ${roster.members.length} active)`;
+
+  const last = roster.members.length - 1;
+  DOM.rosterMembers.innerHTML = roster.members.map((member, i) => {
+    const name = member.displayName;
+    const parity = i % 2 === 0 ? 'history-row--even' : 'history-row--odd';
+    const inactive = member.active ? '' : ' roster-member--inactive';
+    return `<li class="history-row ${parity}${inactive} flex items-center gap-1 px-3 py-1">
+      <span class="flex-1 min-w-0 truncate text-sm font-semibold text-sn-navy">
+        ${escapeHtml(name)}
+        ${member.role ? `<span class="text-navy-40 text-xs font-normal">${escapeHtml(member.role)}</span>` : ''}
+      </span>
+      <button type="button" class="icon-btn" onclick="toggleMemberActive(${i})"
+        aria-pressed="${member.active}" aria-label="${escapeHtml(name)} active"
+        title="${member.active ? 'Active — click to leave off the wheel' : 'Inactive — click to put back on the wheel'}">${member.active ? '&#9679;' : '&#9675;'}</button>
+      <button type="button" class="icon-btn" onclick="moveMember(${i}, -1)" ${i === 0 ? 'disabled' : ''}
+        aria-label="Move ${escapeHtml(name)} up">&uarr;</button>
+      <button type="button" class="icon-btn" onclick="moveMember(${i}, 1)" ${i === last ? 'disabled' : ''}
+        aria-label="Move ${escapeHtml(name)} down">&darr;</button>
+      <button type="button" class="icon-btn icon-btn--danger" onclick="removeMember(${i})"
+        aria-label="Remove ${escapeHtml(name)}">&times;</button>
+    </li>`;
+  }).join('');
+}
+
+// ============================================================
+//  ATTENDANCE (localStorage, resets each day)
+// ============================================================
+
+/** Local calendar date as YYYY-MM-DD */
+function dateKey(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/** Absences only apply to the day they were recorded */
+function loadAttendance() {
+  const saved = JSON.parse(localStorage.getItem(TOKENS.attendanceStorageKey) || 'null');
+  if (!saved || saved.date !== dateKey()) return { date: dateKey(), absentIds: [] };
+  // Older saves listed display names under "absent" instead of member ids
+  return { date: saved.date, absentIds: saved.absentIds || (saved.absent || []).map(slugify) };
+}
+
+function saveAttendance() {
+  attendance.date = dateKey();
+  localStorage.setItem(TOKENS.attendanceStorageKey, JSON.stringify(attendance));
+}
+
+function toggleCheckinPanel() {
+  const open = DOM.checkinPanel.classList.toggle('hidden') === false;
+  DOM.checkinToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+}
+
+/** Absent members are skipped by the draw; their history and scores are untouched */
+function toggleAttendance(index) {
+  if (spinning) return;
+  const member = members[index];
+  attendance.absentIds = isAbsent(member)
+    ? attendance.absentIds.filter(id => id !== member.id)
+    : attendance.absentIds.concat(member.id);
+  saveAttendance();
+  onAttendanceChange();
+}
+
+function markEveryonePresent() {
+  if (spinning) return;
+  attendance.absentIds = [];
+  saveAttendance();
+  onAttendanceChange();
+}
+
+function onAttendanceChange() {
+  renderCheckin();
+  renderFairPanel();
+  drawWheel();
+  updateStatus();
+}
+
+function renderCheckin() {
+  DOM.checkinMembers.innerHTML = members.map((member, i) => {
+    const present = !isAbsent(member);
+    return `<button type="button" class="filter-chip px-2.5 py-1 text-[11px] md:text-xs font-bold rounded-pill"
+      aria-pressed="${present}" onclick="toggleAttendance(${i})">${escapeHtml(member.displayName)}</button>`;
+  }).join('');
+}
+
+// ============================================================
+//  FAIR DRAW (weights from pick history across rounds)
+// ============================================================
+
+function saveSettings() {
+  localStorage.setItem(TOKENS.settingsStorageKey, JSON.stringify(settings));
+}
+
+/**
+ * Weight each candidate by how often and how recently they were picked.
+ * Rounds are the archived ones plus the current round, which is "0 rounds ago".
+ * Never-picked members get the full weight of 1.
+ */
+function computeFairWeights(candidates) {
+  const rounds = sessionArchive.map(session => session.entries).concat([spinHistory]);
+  const weights = new Map();
+
+  candidates.forEach(member => {
+    let picks = 0;
+    let roundsAgo = Infinity;
+    rounds.forEach((entries, r) => {
+      const count = entries.filter(e => e.memberId === member.id && !isPass(e) && !isOrderTurn(e)).length;
+      if (count === 0) return;
+      picks += count;
+      roundsAgo = rounds.length - 1 - r;
+    });
+
+    const frequency = 1 / (1 + TOKENS.fairFrequencyWeight * picks);
+    const recency = roundsAgo === Infinity
+      ? 1
+      : 1 - TOKENS.fairRecencyPenalty * Math.pow(TOKENS.fairRecencyDecay, roundsAgo);
+    weights.set(member.id, frequency * recency);
+  });
+
+  return weights;
+}
+
+/** Roulette-wheel selection over a Map of member id → weight */
+function pickWeighted(candidates, weights, rng) {
+  const total = candidates.reduce((sum, m) => sum + weights.get(m.id), 0);
+  let r = rng() * total;
+  for (const member of candidates) {
+    r -= weights.get(member.id);
+    if (r < 0) return member;
+  }
+  return candidates[candidates.length - 1];
+}
+
+function setWeightedMode(on) {
+  settings.weighted = on;
+  saveSettings();
+  renderFairPanel();
+}
+
+function setReplacementMode(on) {
+  settings.replacement = on;
+  onDrawRulesChange();
+}
+
+function setCooldown(value) {
+  settings.cooldown = Math.max(0, parseInt(value, 10) || 0);
+  onDrawRulesChange();
+}
+
+function setCooldownAcross(on) {
+  settings.cooldownAcrossSessions = on;
+  onDrawRulesChange();
+}
+
+/** Replacement and cooldown change who's on the wheel, not just the odds */
+function onDrawRulesChange() {
+  saveSettings();
+  renderFairPanel();
+  updateStatus();
+  drawWheel();
+}
+
+/** Winners drawn per spin; more than one switches spin() to sequential stops */
+function setPickCount(value) {
+  settings.pickCount = Math.max(1, parseInt(value, 10) || 1);
+  saveSettings();
+}
+
+function toggleFairPanel() {
+  const open = DOM.fairPanel.classList.toggle('hidden') === false;
+  DOM.fairToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+  renderFairPanel();
+}
+
+/** Show each available member's chance of being picked on the next spin */
+function renderFairPanel() {
+  DOM.weightedMode.checked = settings.weighted;
+  DOM.replacementMode.checked = settings.replacement;
+  DOM.cooldown.value = settings.cooldown;
+  DOM.cooldownAcross.checked = settings.cooldownAcrossSessions;
+  if (DOM.fairPanel.classList.contains('hidden')) return;
+
+  const available = getAvailable();
+  const weights = settings.weighted
+    ? computeFairWeights(available)
+    : new Map(available.map(m => [m.id, 1]));
+  const total = available.reduce((sum, m) => sum + weights.get(m.id), 0);
+  const max = Math.max(0, ...available.map(m => weights.get(m.id)));
+
+  const rows = available
+    .map(m => ({ member: m, chance: total ? weights.get(m.id) / total : 0, share: max ? weights.get(m.id) / max : 0 }))
+    .sort((a, b) => b.chance - a.chance);
+
+  DOM.fairList.innerHTML = rows.length === 0
+    ? '<li class="text-xs text-navy-40">Nobody left to pick this round.</li>'
+    : rows.map(({ member, chance, share }) => `<li class="flex items-center gap-2 text-xs">
+        <span class="w-24 truncate font-semibold text-sn-navy">${escapeHtml(member.displayName)}</span>
+        <span class="fair-bar flex-1"><span class="fair-bar__fill block" style="width:${(share * 100).toFixed(1)}%"></span></span>
+        <span class="w-12 text-right font-bold text-navy-60">${(chance * 100).toFixed(1)}%</span>
+      </li>`).join('');
+}
+
+// ============================================================
+//  SPEAKING ORDER
+// ============================================================
+
+/** The order being worked through in this meeting, if any */
+function activeOrder() {
+  if (AUDIENCE) return mirroredOrder;
+  const orders = currentSession && currentSession.orders;
+  const last = orders && orders[orders.length - 1];
+  return last && !last.finishedAt ? last : null;
+}
+
+function toggleOrderPanel() {
+  const open = DOM.orderPanel.classList.toggle('hidden') === false;
+  DOM.orderToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+  renderOrderPanel();
+}
+
+/** Shuffle everyone present into a speaking order, seeded like the spins */
+function drawOrder() {
+  if (spinning) return;
+  const people = getPresent();
+  if (people.length === 0) return;
+  const current = activeOrder();
+  if (current && current.position < current.queue.length - 1
+      && !confirm('Replace the speaking order in progress?')) return;
+  if (current) current.finishedAt = new Date().toISOString();
+
+  const seed = roundSeed.seed;
+  const drawIndex = roundSeed.nextDraw++;
+  saveRoundSeed();
+  const pool = people.map(m => m.id);
+  const queue = shuffle(pool, createDrawRng(seed, drawIndex));
+
+  ensureSession();
+  const order = {
+    id: 'o' + Date.now().toString(36),
+    timestamp: new Date().toISOString(),
+    seed,
+    rng: RNG_ALGORITHM,
+    drawIndex,
+    pool,
+    queue: queue.map(id => ({ memberId: id, name: people.find(m => m.id === id).displayName })),
+    position: -1,
+  };
+  currentSession.orders = (currentSession.orders || []).concat(order);
+  saveSession();
+
+  if (DOM.orderPanel.classList.contains('hidden')) toggleOrderPanel();
+  revealOrder(order);
+}
+
+/** Quick spin while the queue fills in one name at a time */
+function revealOrder(order) {
+  stopGlowAnim();
+  winnerIndex = -1;
+  clearGroupView();
+  spinning = true;
+  DOM.spinBtn.disabled = true;
+  orderRevealed = 0;
+  renderOrderPanel();
+  syncAudience();
+
+  const target = rotation + TOKENS.orderRevealRots * TWO_PI;
+  animateSpin(target, TOKENS.orderRevealDuration, () => {
+    spinning = false;
+    DOM.spinBtn.disabled = false;
+    orderRevealed = Infinity;
+    renderOrderPanel();
+    updateStatus();
+  }, t => {
+    const shown = orderRevealCount(t, order);
+    if (shown !== orderRevealed) {
+      orderRevealed = shown;
+      renderOrderPanel();
+    }
+  });
+}
+
+/** Move to the next speaker and log them, timestamped, to history */
+function advanceOrder() {
+  const order = activeOrder();
+  if (!order || spinning) return;
+  order.position++;
+  if (order.position >= order.queue.length) {
+    order.finishedAt = new Date().toISOString();
+  } else {
+    const speaker = order.queue[order.position];
+    const member = members.find(m => m.id === speaker.memberId)
+      || { id: speaker.memberId, displayName: speaker.name };
+    addToHistory(member, null, {
+      seed: order.seed, rng: order.rng, drawIndex: order.drawIndex, pool: order.pool,
+      order: { id: order.id, position: order.position },
+    });
+  }
+  saveSession();
+  renderOrderPanel();
+  updateStatus();
+  renderFairPanel();
+  drawWheel();
+}
+
+/** Undoing a speaker's history entry puts them back on deck */
+function stepOrderBack(ref) {
+  const order = activeOrder();
+  if (!order || order.id !== ref.id || order.position !== ref.position) return;
+  order.position--;
+  saveSession();
+  renderOrderPanel();
+}
+
+function endOrder() {
+  const order = activeOrder();
+  if (!order || spinning) return;
+  order.finishedAt = new Date().toISOString();
+  saveSession();
+  renderOrderPanel();
+  syncAudience();
+}
+
+/** Speakers shown `t` of the way through the reveal spin */
+function orderRevealCount(t, order) {
+  return Math.floor(t * order.queue.length);
+}
+
+function renderOrderPanel() {
+  const order = activeOrder();
+  DOM.orderEmpty.classList.toggle('hidden', !!order);
+  DOM.orderQueue.classList.toggle('hidden', !order);
+  if (!order) return;
+
+  const current = order.queue[order.position];
+  const next = order.queue[order.position + 1];
+  const revealing = orderRevealed < order.queue.length;
+  DOM.orderCurrent.textContent = current && !revealing ? current.name : '—';
+  DOM.orderNext.textContent = next && !revealing ? next.name : '—';
+  DOM.orderAdvance.disabled = revealing;
+  DOM.orderAdvance.textContent = order.position < 0 ? 'Start' : next ? 'Next speaker' : 'Finish';
+
+  DOM.orderList.innerHTML = order.queue.slice(0, orderRevealed).map((speaker, i) => {
+    const state = i < order.position ? 'done' : i === order.position ? 'current' : 'waiting';
+    return `<li data-state="${state}">${i + 1}. ${escapeHtml(speaker.name)}</li>`;
+  }).join('');
+}
+
+// ============================================================
+//  BREAKOUT GROUPS
+// ============================================================
+
+function groupColor(index) {
+  return TOKENS.groupColors[index % TOKENS.groupColors.length];
+}
+
+function toggleGroupsPanel() {
+  const open = DOM.groupsPanel.classList.toggle('hidden') === false;
+  DOM.groupsToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+  if (open) renderGroupsPanel();
+}
+
+function showGroupsError(message) {
+  DOM.groupsError.textContent = message;
+  DOM.groupsError.classList.toggle('hidden', !message);
+}
+
+function addGroupRule(event) {
+  event.preventDefault();
+  const a = DOM.ruleA.value;
+  const b = DOM.ruleB.value;
+  if (!a || !b || a === b) {
+    showGroupsError('Pick two different people for a rule.');
+    return;
+  }
+  // One rule per pair; a new one replaces the old
+  settings.groupRules = settings.groupRules
+    .filter(r => !((r.a === a && r.b === b) || (r.a === b && r.b === a)))
+    .concat({ a, b, type: DOM.ruleType.value });
+  saveSettings();
+  showGroupsError('');
+  renderGroupsPanel();
+}
+
+function removeGroupRule(index) {
+  settings.groupRules.splice(index, 1);
+  saveSettings();
+  renderGroupsPanel();
+}
+
+function renderGroupsPanel() {
+  DOM.groupMode.value = settings.groupMode;
+  DOM.groupValue.value = settings.groupValue;
+
+  const options = members.map(m => `<option value="${escapeHtml(m.id)}">${escapeHtml(m.displayName)}</option>`).join('');
+  DOM.ruleA.innerHTML = options;
+  DOM.ruleB.innerHTML = options;
+  if (members.length > 1) DOM.ruleB.selectedIndex = 1;
+
+  const nameOf = id => {
+    const member = members.find(m => m.id === id);
+    return member ? escapeHtml(member.displayName) : `<s>${escapeHtml(id)}</s>`;
+  };
+  DOM.groupRules.innerHTML = settings.groupRules.length === 0
+    ? '<li class="text-navy-40">No rules — anyone can end up with anyone.</li>'
+    : settings.groupRules.map((rule, i) => `<li class="flex items-center gap-1">
+        <span class="flex-1 min-w-0 truncate text-sn-navy">
+          <b>${nameOf(rule.a)}</b> ${rule.type === 'together' ? 'with' : 'apart from'} <b>${nameOf(rule.b)}</b>
+        </span>
+        <button type="button" class="icon-btn icon-btn--danger" onclick="removeGroupRule(${i})"
+          aria-label="Remove rule">&times;</button>
+      </li>`).join('');
+}
+
+/**
+ * Rules that apply to `people`, and a lookup from member id to the block
+ * they share through "together" rules. Rules chain: a with b and b with c
+ * put a, b and c in one block.
+ */
+function ruleBlocks(people, rules) {
+  const ids = new Set(people.map(m => m.id));
+  const active = rules.filter(r => ids.has(r.a) && ids.has(r.b));
+
+  // Union-find over "together" rules
+  const parent = new Map(people.map(m => [m.id, m.id]));
+  const root = id => (parent.get(id) === id ? id : root(parent.get(id)));
+  active.filter(r => r.type === 'together').forEach(r => parent.set(root(r.a), root(r.b)));
+  return { active, root };
+}
+
+/** The first "apart" rule whose pair the "together" rules chain into one block, or null */
+function conflictingRule(people, rules) {
+  const { active, root } = ruleBlocks(people, rules);
+  return active.find(r => r.type === 'apart' && root(r.a) === root(r.b)) || null;
+}
+
+/**
+ * Split `people` into balanced groups (sizes differ by at most one).
+ * "Together" rules merge people into blocks that are placed as a unit,
+ * biggest first, each into the smallest group with room and no "apart"
+ * conflict. A dead end reshuffles and tries again. Returns arrays of
+ * members, or null when the rules can't be met.
+ */
+function buildGroups(people, groupCount, rules, rng) {
+  if (conflictingRule(people, rules)) return null;
+  const { active, root } = ruleBlocks(people, rules);
+  const blocks = new Map();
+  people.forEach(m => {
+    const key = root(m.id);
+    blocks.set(key, (blocks.get(key) || []).concat(m));
+  });
+
+  const apart = active.filter(r => r.type === 'apart');
+  const clashes = (group, block) => apart.some(r =>
+    (block.some(m => m.id === r.a) && group.some(m => m.id === r.b)) ||
+    (block.some(m => m.id === r.b) && group.some(m => m.id === r.a)));
+
+  const base = Math.floor(people.length / groupCount);
+  const extra = people.length % groupCount;
+
+  for (let attempt = 0; attempt < TOKENS.groupMaxAttempts; attempt++) {
+    const order = shuffle(Array.from(blocks.values()), rng).sort((a, b) => b.length - a.length);
+    // Which groups get the one extra seat is part of the shuffle too
+    const capacity = shuffle(Array.from({ length: groupCount }, (_, g) => base + (g < extra ? 1 : 0)), rng);
+    const groups = capacity.map(() => []);
+
+    const placed = order.every(block => {
+      const fits = groups
+        .map((group, g) => g)
+        .filter(g => groups[g].length + block.length <= capacity[g] && !clashes(groups[g], block))
+        .sort((a, b) => groups[a].length - groups[b].length);
+      if (fits.length === 0) return false;
+      groups[fits[0]].push(...block);
+      return true;
+    });
+    if (placed) return groups.map(group => shuffle(group, rng));
+  }
+  return null;
+}
+
+/** Fisher–Yates with the draw's RNG */
+function shuffle(list, rng) {
+  const out = list.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function makeGroups(event) {
+  event.preventDefault();
+  if (spinning) return;
+
+  const people = getPresent();
+  const value = Math.max(1, parseInt(DOM.groupValue.value, 10) || 1);
+  settings.groupMode = DOM.groupMode.value;
+  settings.groupValue = value;
+  saveSettings();
+
+  const groupCount = settings.groupMode === 'size'
+    ? Math.ceil(people.length / value)
+    : Math.min(value, people.length);
+  if (groupCount < 1 || people.length === 0) {
+    showGroupsError('Nobody is here to group.');
+    return;
+  }
+
+  const conflict = conflictingRule(people, settings.groupRules);
+  if (conflict) {
+    const nameOf = id => people.find(m => m.id === id).displayName;
+    showGroupsError(`${nameOf(conflict.a)} and ${nameOf(conflict.b)} must be apart, but the "together" rules put them in one group.`);
+    return;
+  }
+
+  // Same seeded stream as the spins, so a grouping can be reproduced too
+  const seed = roundSeed.seed;
+  const drawIndex = roundSeed.nextDraw;
+  const groups = buildGroups(people, groupCount, settings.groupRules, createDrawRng(seed, drawIndex));
+  if (!groups) {
+    showGroupsError('Those rules can\'t all be met with these group sizes. Try fewer rules or a different split.');
+    return;
+  }
+  showGroupsError('');
+  roundSeed.nextDraw++;
+  saveRoundSeed();
+
+  ensureSession();
+  const grouping = {
+    id: 'g' + Date.now().toString(36),
+    timestamp: new Date().toISOString(),
+    seed,
+    rng: RNG_ALGORITHM,
+    drawIndex,
+    rules: settings.groupRules.slice(),
+    groups: groups.map(group => group.map(m => ({ memberId: m.id, name: m.displayName }))),
+  };
+  currentSession.groupings = (currentSession.groupings || []).concat(grouping);
+  saveSession();
+  renderHistory();
+  revealGrouping(grouping);
+}
+
+/**
+ * Spin the wheel once more while slices light up in their group colors,
+ * one person at a time, then list the groups under the panel.
+ */
+function revealGrouping(grouping) {
+  if (spinning) return;
+  stopGlowAnim();
+  winnerIndex = -1;
+  spinning = true;
+  DOM.spinBtn.disabled = true;
+
+  const groupOf = new Map();
+  grouping.groups.forEach((group, g) => group.forEach(p => groupOf.set(p.memberId, g)));
+  // Reveal round-robin so every group grows together
+  const order = [];
+  const longest = Math.max(...grouping.groups.map(group => group.length));
+  for (let k = 0; k < longest; k++) {
+    grouping.groups.forEach(group => { if (group[k]) order.push(group[k].memberId); });
+  }
+  groupView = { groupOf, order, revealed: 0 };
+  syncAudience();
+  renderGroupsResult(grouping);
+  DOM.groupsResult.classList.add('hidden');
+
+  const target = rotation + TOKENS.spinMinRotations * TWO_PI;
+  animateSpin(target, TOKENS.groupRevealDuration, () => {
+    groupView.revealed = order.length;
+    spinning = false;
+    DOM.spinBtn.disabled = false;
+    drawWheel();
+    DOM.groupsResult.classList.remove('hidden');
+    const liveRegion = document.getElementById('sr-announcement');
+    if (liveRegion) liveRegion.textContent = `${grouping.groups.length} groups are ready.`;
+  }, t => {
+    const revealed = groupRevealCount(t);
+    if (revealed === groupView.revealed) return;
+    groupView.revealed = revealed;
+    invalidateWheel();
+  });
+}
+
+/** Members colored `t` of the way through the reveal spin; all of them by the time the ticks stop */
+function groupRevealCount(t) {
+  return Math.floor(Math.min(t / TOKENS.tickCutoff, 1) * groupView.order.length);
+}
+
+function renderGroupsResult(grouping) {
+  DOM.groupsList.innerHTML = grouping.groups.map((group, g) => `<li class="group-card" style="--group-color:${groupColor(g)}">
+      <div class="text-[10px] md:text-xs font-bold text-navy-60 uppercase tracking-wider">Group ${g + 1}</div>
+      <div class="text-xs md:text-sm font-semibold text-sn-navy leading-snug">${group.map(p => escapeHtml(p.name)).join(', ')}</div>
+    </li>`).join('');
+}
+
+function clearGroupView() {
+  if (!groupView) return;
+  groupView = null;
+  DOM.groupsResult.classList.add('hidden');
+  drawWheel();
+  syncAudience();
+}
+
+/** Bring a saved grouping back up on the wheel */
+function showGrouping(sessionId, groupingId) {
+  const session = currentSession && currentSession.id === sessionId
+    ? currentSession
+    : sessionArchive.find(sess => sess.id === sessionId);
+  const grouping = session && (session.groupings || []).find(gr => gr.id === groupingId);
+  if (!grouping || spinning) return;
+  switchTab('wheel');
+  if (DOM.groupsPanel.classList.contains('hidden')) toggleGroupsPanel();
+  revealGrouping(grouping);
+}
+
+function exportGrouping(sessionId, groupingId) {
+  const session = currentSession && currentSession.id === sessionId
+    ? currentSession
+    : sessionArchive.find(sess => sess.id === sessionId);
+  const grouping = session && (session.groupings || []).find(gr => gr.id === groupingId);
+  if (!grouping) return;
+  const rows = [['group', 'name', 'memberId']].concat(
+    grouping.groups.flatMap((group, g) => group.map(p => [g + 1, p.name, p.memberId])));
+  const body = rows.map(cells => cells.map(csvCell).join(',')).join('\r\n') + '\r\n';
+  downloadFile(`groups-${slugify(session.title) || 'meeting'}-${dateKey(new Date(grouping.timestamp))}.csv`, '\uFEFF' + body, 'text/csv');
+}
+
+function groupingRows(session) {
+  return (session.groupings || []).map(grouping => {
+    const sizes = grouping.groups.map(group => group.length).join(' / ');
+    return `<li class="flex items-center gap-2 py-1 text-xs md:text-sm">
+      <span class="flex-1 min-w-0 truncate text-sn-navy">
+        <b>${grouping.groups.length} groups</b> <span class="text-navy-50">(${sizes})</span>
+      </span>
+      <span class="text-navy-50">${formatEntryTime(grouping)}</span>
+      <button type="button" data-action="show-grouping" data-session="${escapeHtml(session.id)}" data-grouping="${escapeHtml(grouping.id)}"
+        class="text-sn-violet hover:text-sn-magenta text-xs font-bold transition-colors duration-200">Show</button>
+      <button type="button" data-action="export-grouping" data-session="${escapeHtml(session.id)}" data-grouping="${escapeHtml(grouping.id)}"
+        class="text-sn-violet hover:text-sn-magenta text-xs font-bold transition-colors duration-200">CSV</button>
+    </li>`;
+  }).join('');
+}
+
+function renderGroupings() {
+  const has = !!(currentSession && currentSession.groupings && currentSession.groupings.length);
+  DOM.groupingsWrap.classList.toggle('hidden', !has);
+  DOM.groupings.innerHTML = has ? groupingRows(currentSession) : '';
+}
+
+/** Session and grouping ids can come from imported files, so buttons carry them in data- attributes */
+function onSessionAction(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+  const { action, session, grouping } = button.dataset;
+  if (action === 'verify') openVerify(session);
+  else if (action === 'show-grouping') showGrouping(session, grouping);
+  else if (action === 'export-grouping') exportGrouping(session, grouping);
+}
+
+DOM.pastSessions.addEventListener('click', onSessionAction);
+DOM.groupings.addEventListener('click', onSessionAction);
+
+// ============================================================
+//  ROUND SEED & VERIFICATION
+// ============================================================
+
+function saveRoundSeed() {
+  localStorage.setItem(TOKENS.seedStorageKey, JSON.stringify(roundSeed));
+}
+
+function renderSeed() {
+  DOM.seedValue.textContent = roundSeed.seed;
+}
+
+function toggleSeedForm() {
+  const open = DOM.seedForm.classList.toggle('hidden') === false;
+  if (open) {
+    DOM.seedInput.value = '';
+    DOM.seedInput.focus();
+  }
+}
+
+/** Run the rest of the round from a seed published ahead of time */
+function setRoundSeed(event) {
+  event.preventDefault();
+  const seed = DOM.seedInput.value.trim();
+  if (!seed || spinning) return;
+  roundSeed = { seed, nextDraw: 0 };
+  saveRoundSeed();
+  renderSeed();
+  DOM.seedForm.classList.add('hidden');
+}
+
+/**
+ * Replay one recorded draw. Returns the member id the seed picks,
+ * or null for entries recorded before seeds were stored.
+ */
+function replayDraw(entry) {
+  if (entry.seed === undefined || !entry.pool || entry.rng !== RNG_ALGORITHM) return null;
+  const rng = createDrawRng(entry.seed, entry.drawIndex);
+  if (entry.order) return shuffle(entry.pool, rng)[entry.order.position];
+  const weights = entry.weights && new Map(entry.pool.map((id, i) => [id, entry.weights[i]]));
+  let pool = entry.pool.map(id => ({ id }));
+
+  // Winners of a multi-winner draw were picked in order without replacement
+  let pick;
+  for (let k = 0; k <= (entry.groupPosition || 0); k++) {
+    pick = weights ? pickWeighted(pool, weights, rng) : pool[Math.floor(rng() * pool.length)];
+    pool = pool.filter(m => m !== pick);
+  }
+  return pick.id;
+}
+
+/** Verify the current session, or a past one by id */
+function openVerify(sessionId) {
+  const session = sessionId && sessionArchive.find(sess => sess.id === sessionId);
+  renderVerify(session ? session.entries : spinHistory);
+  DOM.verifyOverlay.classList.remove('hidden');
+}
+
+function closeVerify() {
+  DOM.verifyOverlay.classList.add('hidden');
+}
+
+function renderVerify(entries) {
+  let checked = 0;
+  let matched = 0;
+  let edited = 0; // reassigned by hand after the draw, so the seed rightly disagrees
+
+  DOM.verifyTbody.innerHTML = entries.map((entry, i) => {
+    const replayed = replayDraw(entry);
+    let status = '<span class="text-navy-40" title="Recorded before seeds were stored">&mdash;</span>';
+    if (replayed !== null && replayed !== entry.memberId && entry.editedAt) {
+      edited++;
+      status = `<span class="history-result text-navy-50" title="Edited ${escapeHtml(formatEntryTime({ timestamp: entry.editedAt }))}; seed picks ${escapeHtml(replayed)}" aria-label="Edited after the draw">✎ edited</span>`;
+    } else if (replayed !== null) {
+      checked++;
+      const ok = replayed === entry.memberId;
+      if (ok) matched++;
+      status = ok
+        ? '<span class="history-result answer-result--correct" aria-label="Matches">✓</span>'
+        : `<span class="history-result answer-result--incorrect" title="Seed picks ${escapeHtml(replayed)}" aria-label="Does not match">✗</span>`;
+    }
+    const parity = i % 2 === 0 ? 'history-row--even' : 'history-row--odd';
+    return `<tr class="history-row ${parity}">
+      <td class="py-2 px-2 md:px-3 text-xs font-bold text-navy-40">${i + 1}</td>
+      <td class="py-2 px-2 md:px-3 text-xs md:text-sm font-semibold text-sn-navy">${escapeHtml(entry.name)}</td>
+      <td class="py-2 px-2 md:px-3 text-xs">${entry.seed !== undefined
+        ? `<code class="seed-code">${escapeHtml(entry.seed)}</code> #${escapeHtml(entry.drawIndex)}`
+        : '<span class="text-navy-40">&mdash;</span>'}</td>
+      <td class="py-2 px-2 md:px-3 text-xs md:text-sm text-center">${status}</td>
+    </tr>`;
+  }).join('');
+
+  const editedNote = edited ? ` ${edited} reassigned by hand after the draw.` : '';
+  if (entries.length === 0) {
+    DOM.verifySummary.textContent = 'No draws to verify yet.';
+    DOM.verifySummary.className = 'text-sm font-bold mb-2 text-navy-50';
+  } else if (matched === checked) {
+    DOM.verifySummary.textContent = `All ${checked} seeded draws match their recorded winners.` + editedNote;
+    DOM.verifySummary.className = 'text-sm font-bold mb-2 answer-result--correct';
+  } else {
+    DOM.verifySummary.textContent = `${checked - matched} of ${checked} seeded draws do not match.` + editedNote;
+    DOM.verifySummary.className = 'text-sm font-bold mb-2 answer-result--incorrect';
+  }
+}
+
+// ============================================================
+//  STATUS & TABS
+// ============================================================
+
+function updateStatus() {
+  syncAudience();
+  const available = getAvailable();
+  if (members.length === 0) {
+    DOM.statusBadge.textContent = rosterStore ? 'No members on this roster' : 'Loading...';
+    DOM.allPicked.classList.add('hidden');
+    DOM.spinBtn.disabled = true;
+    return;
+  }
+
+  // Once the eligible deck runs out drawQuestion() reshuffles it, so 0 left means "reshuffle next"
+  const questionStatus = questions.length
+    ? ` · ${getUnusedQuestions().length} of ${getEligibleQuestions().length} questions left`
+    : '';
+
+  const present = getPresent().length;
+  const absentStatus = present < members.length ? ` · ${members.length - present} absent` : '';
+  const passCount = spinHistory.filter(isPass).length;
+  const passStatus = passCount ? ` · ${passCount} passed` : '';
+  const cooling = coolingDownIds();
+  const coolingCount = getPresent().filter(m => cooling.has(m.id) && !available.includes(m)).length;
+  const coolingStatus = coolingCount ? ` · ${coolingCount} cooling down` : '';
+  const extras = absentStatus + passStatus + coolingStatus + questionStatus;
+
+  if (present === 0) {
+    // Nothing to clear and restart: the fix is marking people present again
+    DOM.statusBadge.textContent = 'Nobody is present' + extras;
+    DOM.allPicked.classList.add('hidden');
+    DOM.spinBtn.disabled = true;
+  } else if (available.length === 0) {
+    DOM.statusBadge.textContent = `All ${present} members picked!` + extras;
+    showAllPicked();
+  } else if (settings.replacement) {
+    DOM.statusBadge.textContent = `${available.length} of ${present} in the draw` + extras;
+    hideAllPicked();
   } else {
-    DOM.statusBadge.textContent = `${available.length} of ${names.length} remaining`;
+    DOM.statusBadge.textContent = `${available.length} of ${present} remaining` + extras;
     hideAllPicked();
   }
 }
@@ -536,17 +3345,327 @@ function hideAllPicked() {
 
 const TAB_BASE = 'tab-btn px-4 py-1.5 text-xs md:px-6 md:py-2 md:text-sm font-bold rounded-pill transition-all duration-200';
 
+const TABS = Object.freeze({
+  wheel:      { section: DOM.sectionWheel,      button: DOM.tabWheel },
+  history:    { section: DOM.sectionHistory,    button: DOM.tabHistory },
+  scoreboard: { section: DOM.sectionScoreboard, button: DOM.tabScoreboard },
+});
+
 function switchTab(tab) {
-  const isWheel = tab === 'wheel';
+  Object.keys(TABS).forEach(key => {
+    const active = key === tab;
+    TABS[key].section.classList.toggle('hidden', !active);
+    TABS[key].button.className = `${TAB_BASE} ${active ? 'tab-btn--active' : 'tab-btn--inactive'}`;
+
+    // ARIA: update tab selection state
+    TABS[key].button.setAttribute('aria-selected', active ? 'true' : 'false');
+  });
+
+  if (tab === 'scoreboard') renderScoreboard();
+}
+
+// ============================================================
+//  KEYBOARD SHORTCUTS
+// ============================================================
+
+const TAB_KEYS = Object.freeze({ 1: 'wheel', 2: 'history', 3: 'scoreboard' });
+
+function openShortcuts() {
+  DOM.shortcutsOverlay.classList.remove('hidden');
+  DOM.shortcutsClose.focus();
+}
+
+function closeShortcuts() {
+  DOM.shortcutsOverlay.classList.add('hidden');
+}
+
+function isOpen(el) {
+  return !el.classList.contains('hidden');
+}
+
+/** Flappy Nature listens for Space/Enter/Esc itself while its overlay is up */
+function isFlappyOpen() {
+  const flappy = document.getElementById('flappy-overlay');
+  return !!flappy && isOpen(flappy);
+}
+
+/** Close whichever dialog is on top. Returns false when none was open. */
+function closeTopDialog() {
+  if (isOpen(DOM.shortcutsOverlay)) closeShortcuts();
+  else if (isOpen(DOM.verifyOverlay)) closeVerify();
+  else if (isOpen(DOM.rosterOverlay)) closeRosterEditor();
+  else if (isOpen(DOM.overlay)) closeOverlay();
+  else return false;
+  return true;
+}
+
+function onShortcutKey(e) {
+  if (e.ctrlKey || e.metaKey || e.altKey || isFlappyOpen()) return;
+
+  if (e.key === 'Escape') {
+    if (closeTopDialog()) e.preventDefault();
+    return;
+  }
+  // Typing in a field, or a focused control that handles Space/Enter itself
+  if (e.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+  const onControl = !!e.target.closest('button, a, summary, [role="button"], [tabindex]');
+  const winnerOpen = isOpen(DOM.overlay);
+  const otherDialog = isOpen(DOM.verifyOverlay) || isOpen(DOM.rosterOverlay);
+
+  if (e.key === '?') {
+    if (otherDialog) return;
+    e.preventDefault();
+    if (isOpen(DOM.shortcutsOverlay)) closeShortcuts(); else openShortcuts();
+    return;
+  }
+  if (otherDialog || isOpen(DOM.shortcutsOverlay)) return;
+
+  switch (e.key) {
+    case ' ':
+    case 'Enter':
+    case 'PageDown':
+      if (onControl && e.key !== 'PageDown') return;
+      e.preventDefault();
+      if (e.repeat || spinning) return;
+      spinNext();
+      return;
+    case 'u':
+    case 'U':
+      e.preventDefault();
+      undoLastPick();
+      return;
+    case 'n':
+    case 'N':
+    case 'ArrowRight':
+      if (winnerOpen || !isOpen(DOM.orderPanel) || !activeOrder()) return;
+      e.preventDefault();
+      advanceOrder();
+      return;
+    default:
+      if (TAB_KEYS[e.key] && !winnerOpen) {
+        e.preventDefault();
+        switchTab(TAB_KEYS[e.key]);
+      }
+  }
+}
+
+if (!AUDIENCE) document.addEventListener('keydown', onShortcutKey);
+
+// ============================================================
+//  AUDIENCE WINDOW (BroadcastChannel)
+// ============================================================
+// The presenter window runs every draw and posts what the audience needs to
+// replay it: the wheel's members and dimmed slices, each spin's start
+// rotation, target and duration, the winner card, the answer and the result.
+// The audience window never draws or saves anything itself.
+
+const syncChannel = 'BroadcastChannel' in window ? new BroadcastChannel(TOKENS.syncChannel) : null;
+
+/** Tell the audience window, and the phone remote when one is paired, that something changed */
+function broadcast(type, payload) {
+  if (AUDIENCE) return;
+  if (syncChannel) syncChannel.postMessage(Object.assign({ type }, payload));
+  if (relayEvents) queueRemoteState();
+}
+
+/** Wheel state the audience redraws from; sent whenever history or the status changes */
+function syncAudience() {
+  broadcast('state', {
+    members,
+    drawable: getAvailable().map(m => m.id),
+    rotation,
+    groupView,
+    order: activeOrder(),
+    orderRevealed,
+  });
+}
+
+function broadcastWinner(winners, question) {
+  lastWinnerSync = { winnerIds: winners.map(m => m.id), question };
+  broadcast('winner', lastWinnerSync);
+}
+
+function openAudienceWindow() {
+  const audience = window.open('?view=audience', 'sn-audience', 'popup');
+  if (!audience) alert('Allow pop-ups for this page to open the audience view.');
+}
+
+function onSyncMessage(e) {
+  const msg = e.data;
+  if (!AUDIENCE) {
+    // A freshly opened audience window asks for everything on screen right now
+    if (msg.type !== 'hello') return;
+    syncAudience();
+    if (lastWinnerSync) {
+      broadcast('winner', lastWinnerSync);
+      if (isOpen(DOM.answerReveal)) broadcast('answer');
+    }
+    return;
+  }
+
+  if (msg.type === 'state') {
+    members = msg.members;
+    slice = members.length ? TWO_PI / members.length : 0;
+    mirroredDrawable = new Set(msg.drawable);
+    groupView = msg.groupView;
+    mirroredOrder = msg.order;
+    if (!spinning) {
+      rotation = msg.rotation;
+      orderRevealed = msg.orderRevealed;
+    }
+    drawWheel();
+    DOM.orderPanel.classList.toggle('hidden', !mirroredOrder);
+    renderOrderPanel();
+  } else if (msg.type === 'spin') {
+    mirrorSpin(msg);
+  } else if (spinning) {
+    mirrorQueue.push(msg);
+  } else {
+    applyMirrored(msg);
+  }
+}
+
+/** Same start, target, duration and easing as the presenter, so both wheels move in lockstep */
+function mirrorSpin({ from, target, duration }) {
+  // A late message can land before the last mirrored spin finished; the newer one wins
+  stopSpinAnim();
+  closeOverlay();
+  winnerIndex = -1;
+  stopGlowAnim();
+  spinning = true;
+  rotation = from;
+  animateSpin(target, duration, () => {
+    spinning = false;
+    if (groupView) groupView.revealed = groupView.order.length;
+    orderRevealed = Infinity;
+    drawWheel();
+    renderOrderPanel();
+    mirrorQueue.splice(0).forEach(applyMirrored);
+  }, mirrorReveal);
+}
+
+/** Group colors and the speaking order fill in during a reveal spin, as on the presenter */
+function mirrorReveal(t) {
+  if (groupView) {
+    const revealed = groupRevealCount(t);
+    if (revealed !== groupView.revealed) {
+      groupView.revealed = revealed;
+      invalidateWheel();
+    }
+  }
+  if (mirroredOrder && orderRevealed !== Infinity) {
+    const shown = orderRevealCount(t, mirroredOrder);
+    if (shown !== orderRevealed) {
+      orderRevealed = shown;
+      renderOrderPanel();
+    }
+  }
+}
+
+function applyMirrored(msg) {
+  switch (msg.type) {
+    case 'winner': {
+      const winners = msg.winnerIds.map(id => members.find(m => m.id === id)).filter(Boolean);
+      if (winners.length === 0) return;
+      winnerIndex = members.indexOf(winners[winners.length - 1]);
+      if (winners.length > 1) showWinners(winners); else showWinner(winners[0], msg.question);
+      playFanfare();
+      startGlowAnim();
+      return;
+    }
+    case 'answer':
+      revealAnswer();
+      return;
+    case 'result':
+      showAnswerResult(msg.correct, msg.message);
+      return;
+    case 'close':
+      closeOverlay();
+      return;
+  }
+}
+
+/** First click in the audience window: go full screen and unlock sound */
+function onAudienceClick() {
+  getAudio();
+  const root = document.documentElement;
+  if (!document.fullscreenElement && root.requestFullscreen) root.requestFullscreen().catch(() => {});
+}
+
+if (syncChannel) syncChannel.addEventListener('message', onSyncMessage);
+
+// ============================================================
+//  PHONE REMOTE (server/relay.js on the meeting-room LAN)
+// ============================================================
+// Opened as ?remote=<pairing code> from the relay, the wheel takes commands
+// from the phone over Server-Sent Events and posts back what the phone shows.
+
+const RELAY_PIN = AUDIENCE ? null : new URLSearchParams(location.search).get('remote');
+let relayEvents = null;
+let remoteStateTimer = null;
+
+// Each command runs only while the remoteState() flag next to it is set
+const REMOTE_COMMANDS = Object.freeze({
+  spin:      { run: spinNext,                when: 'canSpin' },
+  close:     { run: closeOverlay,            when: 'canClose' },
+  reveal:    { run: revealAnswer,            when: 'canReveal' },
+  correct:   { run: () => markAnswer(true),  when: 'canMark' },
+  incorrect: { run: () => markAnswer(false), when: 'canMark' },
+});
+
+function relayUrl(route) {
+  return `relay/${route}?pin=${encodeURIComponent(RELAY_PIN)}`;
+}
+
+function connectRelay() {
+  relayEvents = new EventSource(relayUrl('events') + '&role=wheel');
+  relayEvents.addEventListener('open', queueRemoteState);
+  relayEvents.addEventListener('command', e => {
+    const command = REMOTE_COMMANDS[JSON.parse(e.data).action];
+    // The phone may be showing stale buttons, so check against the page as it is now
+    if (command && remoteState()[command.when]) command.run();
+    queueRemoteState();
+  });
+}
+
+/** A dialog over the wheel page that the phone cannot see or close */
+function pageDialogOpen() {
+  return isOpen(DOM.rosterOverlay) || isOpen(DOM.verifyOverlay) || isOpen(DOM.shortcutsOverlay) || isFlappyOpen();
+}
+
+function remoteState() {
+  const card = isOpen(DOM.overlay);
+  const winners = card && lastWinnerSync
+    ? lastWinnerSync.winnerIds.map(id => members.find(m => m.id === id)).filter(Boolean).map(m => m.displayName)
+    : [];
+  const answer = activeQuestion && activeQuestion.answer;
+  const blocked = pageDialogOpen();
+  const ready = !spinning && !blocked;
+  return {
+    status: blocked ? 'Paused while a dialog is open on the wheel page' : DOM.statusBadge.textContent.trim(),
+    spinning,
+    winners,
+    question: winners.length === 1 && activeQuestion ? activeQuestion.text : null,
+    answer: card && answer && isOpen(DOM.answerReveal) ? answer.text : null,
+    result: card && activeEntry && activeEntry.result ? activeEntry.result.correct : null,
+    canSpin: ready && (card || getAvailable().length > 0),
+    canReveal: ready && card && isOpen(DOM.revealBtn),
+    canMark: ready && card && !!activeEntry && isOpen(DOM.answerMark),
+    canClose: ready && card,
+  };
+}
 
-  DOM.sectionWheel.classList.toggle('hidden', !isWheel);
-  DOM.sectionHistory.classList.toggle('hidden', isWheel);
-  DOM.tabWheel.className  = `${TAB_BASE} ${isWheel ? 'tab-btn--active' : 'tab-btn--inactive'}`;
-  DOM.tabHistory.className = `${TAB_BASE} ${isWheel ? 'tab-btn--inactive' : 'tab-btn--active'}`;
+function queueRemoteState() {
+  clearTimeout(remoteStateTimer);
+  remoteStateTimer = setTimeout(sendRemoteState, TOKENS.remoteStateDelay);
+}
 
-  // ARIA: update tab selection state
-  DOM.tabWheel.setAttribute('aria-selected', isWheel ? 'true' : 'false');
-  DOM.tabHistory.setAttribute('aria-selected', isWheel ? 'false' : 'true');
+function sendRemoteState() {
+  fetch(relayUrl('state'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(remoteState()),
+  }).catch(err => console.error('Failed to reach the remote relay:', err));
 }
 
 // ============================================================
@@ -562,7 +3681,7 @@ window.addEventListener('resize', () => {
     SIZE = newSize;
     HALF = SIZE / 2;
     applyCanvasSize();
-    if (names.length) drawWheel();
+    if (members.length) drawWheel();
   }, 150);
 });
 
@@ -570,13 +3689,43 @@ window.addEventListener('resize', () => {
 //  INIT
 // ============================================================
 
-fetch('data/team.json')
+if (AUDIENCE) {
+  // Roster and history come from the presenter; nothing here touches storage
+  document.body.classList.add('audience-view');
+  document.addEventListener('click', onAudienceClick);
+  if (syncChannel) syncChannel.postMessage({ type: 'hello' });
+} else {
+  migrateArchive();
+  migrateHistoryEntries(spinHistory);
+  sessionArchive.forEach(session => {
+    migrateHistoryEntries(session.entries, session.endedAt ? new Date(session.endedAt) : new Date());
+  });
+  saveHistory();
+  saveArchive();
+  saveRoundSeed();
+  renderSeed();
+  DOM.pickCount.value = String(settings.pickCount);
+  renderSoundControls();
+  DOM.audienceBtn.classList.toggle('hidden', !syncChannel);
+  if (RELAY_PIN) connectRelay();
+
+  fetch('data/team.json')
+    .then(res => res.json())
+    .then(data => {
+      initRosters(data.members);
+      renderHistory();
+    })
+    .catch(err => console.error('Failed to load team data:', err));
+}
+
+fetch('data/questions.json')
   .then(res => res.json())
   .then(data => {
-    names = data.members;
-    slice = TWO_PI / names.length;
-    drawWheel();
-    renderHistory();
+    questions = data.questions;
+    questionCategories = data.categories || [];
+    questionDifficulties = data.difficulties || [];
+    answerTolerance = data.tolerance || {};
+    renderQuestionFilters();
     updateStatus();
   })
-  .catch(err => console.error('Failed to load team data:', err));
+  .catch(err => console.error('Failed to load question deck:', err));
@@ -0,0 +1,232 @@
+/* ============================================================
+   Second Nature – Phone Remote Relay
+   Optional helper for running the wheel from a phone. It serves
+   the site on the meeting-room network and passes commands from
+   the remote (remote.html) to the wheel page over Server-Sent
+   Events. Node built-ins only, nothing leaves the LAN.
+
+     node server/relay.js          # PORT=8787 and RELAY_PIN=123456 override
+
+   Open the printed wheel link on the laptop and the remote link
+   on the phone. Both carry the pairing code it prints.
+   ============================================================ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8787;
+const PIN = process.env.RELAY_PIN || String(crypto.randomInt(100000, 1000000));
+const ROOT = path.resolve(__dirname, '..');
+const ACTIONS = new Set(['spin', 'close', 'reveal', 'correct', 'incorrect']);
+const MAX_BODY_BYTES = 16 * 1024;
+const HEARTBEAT_MS = 20000; // keeps idle phone connections from being dropped
+const MAX_PIN_FAILURES = 10;  // wrong codes allowed per address before it is locked out
+const LOCKOUT_MS = 60000;
+
+const MIME_TYPES = Object.freeze({
+  '.html': 'text/html; charset=utf-8',
+  '.js':   'text/javascript; charset=utf-8',
+  '.css':  'text/css; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg':  'image/svg+xml',
+  '.png':  'image/png',
+  '.jpg':  'image/jpeg',
+  '.webp': 'image/webp',
+});
+
+// ============================================================
+//  EVENT STREAMS
+// ============================================================
+
+const clients = { wheel: new Set(), remote: new Set() };
+let lastState = null; // latest wheel state, replayed to remotes as they connect
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function sendToAll(role, event, data) {
+  clients[role].forEach(res => sendEvent(res, event, data));
+}
+
+function sendPresence() {
+  sendToAll('remote', 'presence', { wheels: clients.wheel.size });
+}
+
+function openStream(req, res, role) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  res.write('retry: 2000\n\n');
+  clients[role].add(res);
+
+  if (role === 'remote') {
+    sendEvent(res, 'presence', { wheels: clients.wheel.size });
+    if (lastState) sendEvent(res, 'state', lastState);
+  } else {
+    sendPresence();
+  }
+
+  req.on('close', () => {
+    clients[role].delete(res);
+    if (role !== 'wheel') return;
+    if (clients.wheel.size === 0) lastState = null;
+    sendPresence();
+  });
+}
+
+setInterval(() => {
+  [...clients.wheel, ...clients.remote].forEach(res => res.write(': ping\n\n'));
+}, HEARTBEAT_MS).unref();
+
+// ============================================================
+//  REQUESTS
+// ============================================================
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(body);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error('Body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+const pinFailures = new Map(); // address -> { count, lockedUntil }; throttles guessing the code
+
+/** Checks the pairing code, replying 403 (or 429 while locked out) when it does not pass */
+function checkPin(req, res, url) {
+  const address = req.socket.remoteAddress;
+  const failures = pinFailures.get(address) || { count: 0, lockedUntil: 0 };
+  if (failures.lockedUntil > Date.now()) {
+    reply(res, 429, 'Too many wrong pairing codes — try again in a minute');
+    return false;
+  }
+  if (url.searchParams.get('pin') === PIN) {
+    pinFailures.delete(address);
+    return true;
+  }
+  failures.count++;
+  if (failures.count >= MAX_PIN_FAILURES) {
+    failures.count = 0;
+    failures.lockedUntil = Date.now() + LOCKOUT_MS;
+  }
+  pinFailures.set(address, failures);
+  reply(res, 403, 'Wrong pairing code');
+  return false;
+}
+
+function handleRelay(req, res, url) {
+  if (!checkPin(req, res, url)) return;
+
+  const route = url.pathname.slice('/relay/'.length);
+  if (route === 'events' && req.method === 'GET') {
+    const role = url.searchParams.get('role');
+    if (role !== 'wheel' && role !== 'remote') return reply(res, 400, 'Unknown role');
+    return openStream(req, res, role);
+  }
+  if (route === 'command' && req.method === 'POST') {
+    return readJson(req)
+      .then(({ action }) => {
+        if (!ACTIONS.has(action)) return reply(res, 400, 'Unknown action');
+        if (clients.wheel.size === 0) return reply(res, 409, 'No wheel connected');
+        sendToAll('wheel', 'command', { action });
+        reply(res, 204, '');
+      })
+      .catch(() => reply(res, 400, 'Expected JSON'));
+  }
+  if (route === 'state' && req.method === 'POST') {
+    return readJson(req)
+      .then(state => {
+        lastState = state;
+        sendToAll('remote', 'state', state);
+        reply(res, 204, '');
+      })
+      .catch(() => reply(res, 400, 'Expected JSON'));
+  }
+  reply(res, 404, 'Not found');
+}
+
+/** Serve the site itself so the phone and the wheel share an origin. Dotfiles (.git) stay private. */
+function serveStatic(req, res, url) {
+  if (req.method !== 'GET' && req.method !== 'HEAD') return reply(res, 405, 'Method not allowed');
+
+  let relative;
+  try {
+    relative = decodeURIComponent(url.pathname);
+  } catch (err) {
+    return reply(res, 400, 'Bad path');
+  }
+  if (relative.endsWith('/')) relative += 'index.html';
+  const file = path.join(ROOT, relative);
+  // Check the resolved path, so backslash separators on Windows cannot slip a dotfile through
+  const parts = path.relative(ROOT, file).split(path.sep);
+  if (!file.startsWith(ROOT + path.sep) || parts.some(part => part.startsWith('.'))) {
+    return reply(res, 404, 'Not found');
+  }
+
+  fs.readFile(file, (err, data) => {
+    if (err) return reply(res, 404, 'Not found');
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(file)] || 'application/octet-stream' });
+    res.end(req.method === 'HEAD' ? undefined : data);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://relay.local');
+  if (url.pathname.startsWith('/relay/')) handleRelay(req, res, url);
+  else serveStatic(req, res, url);
+});
+
+// ============================================================
+//  STARTUP
+// ============================================================
+
+function lanAddresses() {
+  return Object.values(os.networkInterfaces())
+    .flat()
+    .filter(addr => addr && addr.family === 'IPv4' && !addr.internal)
+    .map(addr => addr.address);
+}
+
+server.on('error', err => {
+  if (err.code === 'EADDRINUSE') {
+    console.error(`Port ${PORT} is already in use — stop the other relay or pick another port with PORT=8788`);
+  } else {
+    console.error(err.message);
+  }
+  process.exit(1);
+});
+
+server.listen(PORT, () => {
+  console.log(`Spin to Win relay on port ${PORT} — pairing code ${PIN}`);
+  console.log(`  Wheel (this laptop):  http://localhost:${PORT}/?remote=${PIN}`);
+  const hosts = lanAddresses();
+  if (hosts.length === 0) console.log('  No network found — connect to the meeting-room Wi-Fi for the phone remote.');
+  hosts.forEach(host => console.log(`  Remote (phone):       http://${host}:${PORT}/remote.html?pin=${PIN}`));
+});